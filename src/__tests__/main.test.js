@@ -0,0 +1,37 @@
+const core = require('@actions/core')
+
+const { main } = require('../main')
+const { deploymentService } = require('../services/deploymentService')
+
+describe('network input', () => {
+  let setFailed
+
+  beforeEach(() => {
+    setFailed = jest.spyOn(core, 'setFailed').mockImplementation()
+    jest.spyOn(core, 'setOutput').mockImplementation()
+    jest.spyOn(process, 'exit').mockImplementation()
+    jest.spyOn(deploymentService, 'executeDeploymentPipeline')
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    delete process.env.INPUT_NETWORK
+  })
+
+  it.each([
+    ['by ID', [{ chainId: 1 }, { chainId: 1, blockNumber: 100 }]],
+    ['by ID and by name', [{ chainId: 137 }, 'polygon']],
+  ])(
+    'rejects a chain listed twice %s before deploying',
+    async (_, networks) => {
+      process.env.INPUT_NETWORK = JSON.stringify(networks)
+
+      await main()
+
+      expect(setFailed).toHaveBeenCalledWith(
+        expect.stringMatching(/is listed more than once$/)
+      )
+      expect(deploymentService.executeDeploymentPipeline).not.toHaveBeenCalled()
+    }
+  )
+})
@@ -0,0 +1,136 @@
+const { MockBuildBearServer } = require('../mock/server')
+const {
+  resolveForkBlock,
+  parseBlockSelector,
+  parseBlockTimestamp,
+  parseForkTransaction,
+} = require('../network')
+
+const HASH = `0x${'ab'.repeat(32)}`
+
+describe('parseBlockSelector', () => {
+  it.each([
+    ['finalized', { tag: 'finalized', depth: 0 }],
+    [' Safe ', { tag: 'safe', depth: 0 }],
+    ['latest', { tag: 'latest', depth: 0 }],
+    ['latest-12', { tag: 'latest', depth: 12 }],
+  ])('parses %p', (block, selector) => {
+    expect(parseBlockSelector(block)).toEqual(selector)
+  })
+
+  it.each(['pending', 'latest+1', 'latest-', 12])('rejects %p', (block) => {
+    expect(() => parseBlockSelector(block)).toThrow(
+      "expected 'finalized', 'safe', 'latest' or 'latest-N'"
+    )
+  })
+})
+
+describe('parseBlockTimestamp', () => {
+  it('reads Unix seconds and ISO 8601 dates', () => {
+    expect(parseBlockTimestamp(1700000000)).toBe(1700000000)
+    expect(parseBlockTimestamp(' 1700000000 ')).toBe(1700000000)
+    expect(parseBlockTimestamp('2023-11-14T22:13:20Z')).toBe(1700000000)
+  })
+
+  it('rejects invalid and future times', () => {
+    expect(() => parseBlockTimestamp('yesterday')).toThrow(
+      'expected Unix seconds or an ISO 8601 date'
+    )
+    expect(() => parseBlockTimestamp(-1)).toThrow(
+      'expected Unix seconds or an ISO 8601 date'
+    )
+    expect(() =>
+      parseBlockTimestamp(Math.floor(Date.now() / 1000) + 3600)
+    ).toThrow('is in the future')
+  })
+})
+
+describe('parseForkTransaction', () => {
+  it('defaults to forking before the transaction', () => {
+    expect(
+      parseForkTransaction(HASH.toUpperCase().replace('0X', '0x'))
+    ).toEqual({ hash: HASH, position: 'before' })
+  })
+
+  it('rejects malformed hashes and positions', () => {
+    expect(() => parseForkTransaction('0x1234')).toThrow(
+      'expected a 0x-prefixed 32-byte transaction hash'
+    )
+    expect(() => parseForkTransaction(HASH, 'during')).toThrow(
+      "expected 'before' or 'after'"
+    )
+  })
+})
+
+describe('resolveForkBlock', () => {
+  let server
+  let upstream
+
+  beforeAll(async () => {
+    server = new MockBuildBearServer({ port: 0, backend: 'canned' })
+    await server.start()
+    process.env.BUILDBEAR_UPSTREAM_RPC_BASE_URL = `${server.baseUrl}/upstream`
+    upstream = server.getUpstream(1)
+  })
+
+  afterAll(async () => {
+    delete process.env.BUILDBEAR_UPSTREAM_RPC_BASE_URL
+    await server.stop()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('stays the reorg depth of the chain behind the latest block by default', async () => {
+    const { getChainById } = require('../config/chains')
+
+    await expect(resolveForkBlock(1)).resolves.toBe(
+      upstream.blockNumber - getChainById(1).reorgDepth
+    )
+  })
+
+  it.each([
+    ['latest', 0],
+    ['latest-10', 10],
+    ['safe', 32],
+    ['finalized', 64],
+  ])('resolves block %p', async (block, depth) => {
+    await expect(resolveForkBlock(1, { block })).resolves.toBe(
+      upstream.blockNumber - depth
+    )
+  })
+
+  it('forks at the last block at or before a blockTimestamp', async () => {
+    // Canned blocks are 12 seconds apart
+    await expect(
+      resolveForkBlock(1, { blockTimestamp: upstream.headTimestamp - 12 * 100 })
+    ).resolves.toBe(upstream.blockNumber - 100)
+    await expect(
+      resolveForkBlock(1, {
+        blockTimestamp: upstream.headTimestamp - 12 * 100 - 5,
+      })
+    ).resolves.toBe(upstream.blockNumber - 101)
+  })
+
+  it('forks just before or after a transaction', async () => {
+    const methods = upstream.methods.bind(upstream)
+    jest.spyOn(upstream, 'methods').mockImplementation(() => ({
+      ...methods(),
+      eth_getTransactionByHash: () => ({ hash: HASH, blockNumber: '0x64' }),
+    }))
+
+    await expect(
+      resolveForkBlock(1, { forkAtTransaction: HASH })
+    ).resolves.toBe(99)
+    await expect(
+      resolveForkBlock(1, { forkAtTransaction: HASH, position: 'after' })
+    ).resolves.toBe(100)
+  })
+
+  it('fails for an unknown transaction', async () => {
+    await expect(
+      resolveForkBlock(1, { forkAtTransaction: HASH })
+    ).rejects.toThrow(`Transaction ${HASH} not found`)
+  })
+})
@@ -0,0 +1,51 @@
+const {
+  CHAINS,
+  getChainById,
+  getChainByName,
+  resolveChainName,
+  suggestChainName,
+  listSupportedChains,
+} = require('../chains')
+
+describe('chain registry', () => {
+  it('has unique chain IDs, names and aliases', () => {
+    const names = CHAINS.flatMap((chain) => [chain.name, ...chain.aliases])
+
+    expect(new Set(CHAINS.map((chain) => chain.chainId)).size).toBe(
+      CHAINS.length
+    )
+    expect(new Set(names).size).toBe(names.length)
+  })
+
+  it('looks chains up by ID, name or alias', () => {
+    expect(getChainById('137').name).toBe('polygon')
+    expect(getChainByName('eth').chainId).toBe(1)
+    expect(getChainByName(' Arbitrum Sepolia ').chainId).toBe(421614)
+    expect(getChainByName('arbitrum_sepolia').chainId).toBe(421614)
+    expect(getChainById(424242)).toBeUndefined()
+  })
+})
+
+describe('resolveChainName', () => {
+  it('suggests a close name for a typo', () => {
+    expect(suggestChainName('polgon')).toBe('polygon')
+    expect(() => resolveChainName('polgon')).toThrow(
+      'Unknown chain "polgon". Did you mean "polygon"?'
+    )
+  })
+
+  it('suggests nothing for unrelated names', () => {
+    expect(suggestChainName('zzzzzz')).toBeNull()
+    expect(() => resolveChainName('zzzzzz')).toThrow(
+      /^Unknown chain "zzzzzz"\.$/
+    )
+  })
+})
+
+describe('listSupportedChains', () => {
+  it('leaves out RPC URLs', () => {
+    listSupportedChains().forEach((chain) => {
+      expect(Object.keys(chain)).toEqual(['chainId', 'name', 'aliases'])
+    })
+  })
+})
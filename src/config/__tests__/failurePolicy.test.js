@@ -0,0 +1,65 @@
+const {
+  FAILURE_POLICIES,
+  parseFailurePolicy,
+  isFailureAllowed,
+  describeFailurePolicy,
+} = require('../failurePolicy')
+
+describe('parseFailurePolicy', () => {
+  it('defaults to continue', () => {
+    expect(parseFailurePolicy('')).toEqual({
+      mode: FAILURE_POLICIES.CONTINUE,
+      allowedChainIds: [],
+    })
+    expect(parseFailurePolicy(undefined).mode).toBe(FAILURE_POLICIES.CONTINUE)
+  })
+
+  it('parses fail-fast and continue', () => {
+    expect(parseFailurePolicy(' fail-fast ').mode).toBe(
+      FAILURE_POLICIES.FAIL_FAST
+    )
+    expect(parseFailurePolicy('continue').mode).toBe(FAILURE_POLICIES.CONTINUE)
+  })
+
+  it('resolves allow-failures chains given by ID, numeric string or name', () => {
+    expect(parseFailurePolicy('allow-failures: [137, "10", "base"]')).toEqual({
+      mode: FAILURE_POLICIES.ALLOW_FAILURES,
+      allowedChainIds: [137, 10, 8453],
+    })
+  })
+
+  it.each([
+    ['stop', "expected 'fail-fast', 'continue'"],
+    ['allow-failures: 137', 'must be followed by a JSON array'],
+    ['allow-failures: {"chain": 1}', 'must be followed by a JSON array'],
+    ['allow-failures: [1.5]', 'Invalid chain in allow-failures: 1.5'],
+  ])('rejects %p', (policy, message) => {
+    expect(() => parseFailurePolicy(policy)).toThrow(message)
+  })
+})
+
+describe('isFailureAllowed', () => {
+  it('tolerates only chains in the allow list', () => {
+    const policy = parseFailurePolicy('allow-failures: [137]')
+
+    expect(isFailureAllowed(policy, 137)).toBe(true)
+    expect(isFailureAllowed(policy, '137')).toBe(true)
+    expect(isFailureAllowed(policy, 1)).toBe(false)
+  })
+
+  it('tolerates no failures under fail-fast and continue', () => {
+    expect(isFailureAllowed(parseFailurePolicy('fail-fast'), 137)).toBe(false)
+    expect(isFailureAllowed(parseFailurePolicy('continue'), 137)).toBe(false)
+  })
+})
+
+describe('describeFailurePolicy', () => {
+  it('names known chains of the allow list', () => {
+    expect(
+      describeFailurePolicy(parseFailurePolicy('allow-failures: [137, 424242]'))
+    ).toBe('allow-failures: [polygon, 424242]')
+    expect(describeFailurePolicy(parseFailurePolicy('fail-fast'))).toBe(
+      'fail-fast'
+    )
+  })
+})
@@ -0,0 +1,97 @@
+const {
+  parseFunding,
+  parseImpersonatedAccounts,
+  parseUnits,
+} = require('../funding')
+
+const ACCOUNT = '0x1111111111111111111111111111111111111111'
+const TOKEN = '0xabcdefabcdefabcdefabcdefabcdefabcdefabcd'
+const HOLDER = '0x3333333333333333333333333333333333333333'
+
+describe('parseFunding', () => {
+  it('parses native and ERC-20 amounts as strings', () => {
+    expect(
+      parseFunding(
+        [
+          {
+            address: ACCOUNT,
+            native: 100,
+            erc20: [{ token: TOKEN, amount: '250000.5', holder: HOLDER }],
+          },
+          { address: HOLDER, native: 0.5 },
+        ],
+        1
+      )
+    ).toEqual([
+      {
+        address: ACCOUNT,
+        native: '100',
+        erc20: [{ token: TOKEN, amount: '250000.5', holder: HOLDER }],
+      },
+      { address: HOLDER, native: '0.5', erc20: [] },
+    ])
+  })
+
+  it('keeps quoted amounts beyond the safe integer range exact', () => {
+    const [entry] = parseFunding(
+      [{ address: ACCOUNT, native: '1000000000000000000000' }],
+      1
+    )
+
+    expect(entry.native).toBe('1000000000000000000000')
+  })
+
+  it.each([1e21, 2 ** 60, 1e-7])(
+    'asks for a quoted amount instead of the number %p',
+    (native) => {
+      expect(() => parseFunding([{ address: ACCOUNT, native }], 1)).toThrow(
+        'fund[0].native for chainId 1 is the number'
+      )
+      expect(() => parseFunding([{ address: ACCOUNT, native }], 1)).toThrow(
+        'quote the amount as a string'
+      )
+    }
+  )
+
+  it.each([
+    [[{ address: ACCOUNT, native: '-1' }], 'must be a decimal amount'],
+    [[{ address: ACCOUNT, native: '1e3' }], 'must be a decimal amount'],
+    [[{ address: '0x1234', native: '1' }], 'must be a 0x-prefixed'],
+    [[{ address: ACCOUNT }], 'must set native or erc20'],
+    [[{ address: ACCOUNT, native: '1', gas: '1' }], 'unknown key(s): gas'],
+    [
+      [{ address: ACCOUNT, erc20: [{ token: TOKEN, amount: '1' }] }],
+      'fund[0].erc20[0].holder for chainId 1 must be a 0x-prefixed',
+    ],
+    [{ address: ACCOUNT }, 'fund for chainId 1 must be an array'],
+  ])('rejects %j', (fund, message) => {
+    expect(() => parseFunding(fund, 1)).toThrow(message)
+  })
+})
+
+describe('parseUnits', () => {
+  it('converts decimal amounts to base units', () => {
+    expect(parseUnits('1', 18)).toBe(1000000000000000000n)
+    expect(parseUnits('0.5', 6)).toBe(500000n)
+    expect(parseUnits('1000000000000000000000', 0)).toBe(
+      1000000000000000000000n
+    )
+  })
+
+  it('rejects more fractional digits than the token has', () => {
+    expect(() => parseUnits('0.0000001', 6)).toThrow(
+      'Amount 0.0000001 has more than 6 decimals'
+    )
+  })
+})
+
+describe('parseImpersonatedAccounts', () => {
+  it('drops duplicate addresses regardless of case', () => {
+    expect(
+      parseImpersonatedAccounts(
+        [TOKEN, ACCOUNT, TOKEN.replace('abc', 'ABC')],
+        1
+      )
+    ).toEqual([TOKEN, ACCOUNT])
+  })
+})
@@ -0,0 +1,86 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { loadRepositoryConfig } = require('../repositoryConfig')
+
+describe('loadRepositoryConfig', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'repository-config-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('returns an empty configuration without a file', () => {
+    expect(loadRepositoryConfig(dir)).toEqual({ path: null, config: {} })
+  })
+
+  it('reads .buildbear.yml', () => {
+    fs.writeFileSync(
+      path.join(dir, '.buildbear.yml'),
+      [
+        'networks:',
+        '  - chain: base',
+        '    blockNumber: 100',
+        'maxParallel: 2',
+        'artifacts:',
+        '  testArtifactsFile: out.json',
+      ].join('\n')
+    )
+
+    expect(loadRepositoryConfig(dir)).toEqual({
+      path: path.join(dir, '.buildbear.yml'),
+      config: {
+        networks: [{ chain: 'base', blockNumber: 100 }],
+        maxParallel: 2,
+        artifacts: { testArtifactsFile: 'out.json' },
+      },
+    })
+  })
+
+  it('reads .buildbear.json and treats an empty YAML file as empty', () => {
+    fs.writeFileSync(
+      path.join(dir, '.buildbear.json'),
+      JSON.stringify({ failurePolicy: 'fail-fast' })
+    )
+    expect(loadRepositoryConfig(dir).config).toEqual({
+      failurePolicy: 'fail-fast',
+    })
+
+    fs.rmSync(path.join(dir, '.buildbear.json'))
+    fs.writeFileSync(path.join(dir, '.buildbear.yaml'), '')
+    expect(loadRepositoryConfig(dir).config).toEqual({})
+  })
+
+  it('rejects more than one configuration file', () => {
+    fs.writeFileSync(path.join(dir, '.buildbear.yml'), '')
+    fs.writeFileSync(path.join(dir, '.buildbear.json'), '{}')
+
+    expect(() => loadRepositoryConfig(dir)).toThrow(
+      'Found more than one configuration file: .buildbear.yml, .buildbear.json. Keep only one.'
+    )
+  })
+
+  it('reports unknown keys and wrong types', () => {
+    fs.writeFileSync(
+      path.join(dir, '.buildbear.yml'),
+      'maxParallel: two\nretries: 3\nartifacts:\n  testArtifactsFile: 1\n'
+    )
+
+    expect(() => loadRepositoryConfig(dir)).toThrow(
+      '"maxParallel" must be an integer, unknown key "retries", "artifacts.testArtifactsFile" must be a string'
+    )
+  })
+
+  it('reports files that do not parse', () => {
+    fs.writeFileSync(path.join(dir, '.buildbear.json'), '{')
+
+    expect(() => loadRepositoryConfig(dir)).toThrow(
+      `Could not parse ${path.join(dir, '.buildbear.json')}`
+    )
+  })
+})
@@ -0,0 +1,99 @@
+const { setUpstreamRpcUrls } = require('../../network')
+const {
+  UNSUPPORTED_CHAIN_POLICIES,
+  parseUnsupportedChainPolicy,
+  applyUnsupportedChainPolicy,
+} = require('../unsupportedChainPolicy')
+
+// A chain without a built-in upstream RPC
+const UNKNOWN_CHAIN_ID = 424242
+
+describe('parseUnsupportedChainPolicy', () => {
+  it('defaults to error', () => {
+    expect(parseUnsupportedChainPolicy('')).toBe(
+      UNSUPPORTED_CHAIN_POLICIES.ERROR
+    )
+    expect(parseUnsupportedChainPolicy(' sandbox-latest ')).toBe(
+      UNSUPPORTED_CHAIN_POLICIES.SANDBOX_LATEST
+    )
+  })
+
+  it('rejects unknown policies', () => {
+    expect(() => parseUnsupportedChainPolicy('skip')).toThrow(
+      'Invalid unsupported-chain "skip": expected one of error, sandbox-latest'
+    )
+  })
+})
+
+describe('applyUnsupportedChainPolicy', () => {
+  afterEach(() => {
+    setUpstreamRpcUrls({})
+    delete process.env[`BUILDBEAR_UPSTREAM_RPC_${UNKNOWN_CHAIN_ID}`]
+  })
+
+  it('leaves chains with a fork block, a sandbox or an upstream RPC alone', () => {
+    const networks = [
+      { chainId: 1 },
+      { chainId: UNKNOWN_CHAIN_ID, blockNumber: 100 },
+      { chainId: UNKNOWN_CHAIN_ID, sandboxId: 'sandbox-1' },
+    ]
+
+    expect(
+      applyUnsupportedChainPolicy(networks, UNSUPPORTED_CHAIN_POLICIES.ERROR)
+    ).toBe(networks)
+  })
+
+  it('counts user-supplied upstream RPCs', () => {
+    const networks = [{ chainId: UNKNOWN_CHAIN_ID }]
+
+    setUpstreamRpcUrls({ [UNKNOWN_CHAIN_ID]: ['https://rpc.example'] })
+    expect(
+      applyUnsupportedChainPolicy(networks, UNSUPPORTED_CHAIN_POLICIES.ERROR)
+    ).toBe(networks)
+
+    setUpstreamRpcUrls({})
+    process.env[`BUILDBEAR_UPSTREAM_RPC_${UNKNOWN_CHAIN_ID}`] =
+      'https://rpc.example'
+    expect(
+      applyUnsupportedChainPolicy(networks, UNSUPPORTED_CHAIN_POLICIES.ERROR)
+    ).toBe(networks)
+  })
+
+  it('rejects unsupported chains under error', () => {
+    expect(() =>
+      applyUnsupportedChainPolicy(
+        [{ chainId: 1 }, { chainId: UNKNOWN_CHAIN_ID }],
+        UNSUPPORTED_CHAIN_POLICIES.ERROR
+      )
+    ).toThrow(`No upstream RPC known for chainId(s) ${UNKNOWN_CHAIN_ID}`)
+  })
+
+  it('lets BuildBear pick the fork block under sandbox-latest', () => {
+    expect(
+      applyUnsupportedChainPolicy(
+        [{ chainId: 1 }, { chainId: UNKNOWN_CHAIN_ID }],
+        UNSUPPORTED_CHAIN_POLICIES.SANDBOX_LATEST
+      )
+    ).toEqual([
+      { chainId: 1 },
+      { chainId: UNKNOWN_CHAIN_ID, sandboxLatestBlock: true },
+    ])
+  })
+
+  it.each([
+    ['block', 'finalized'],
+    ['blockTimestamp', 1700000000],
+    ['forkAtTransaction', `0x${'ab'.repeat(32)}`],
+  ])(
+    'rejects %s on an unsupported chain under either policy',
+    (selector, value) => {
+      const networks = [{ chainId: UNKNOWN_CHAIN_ID, [selector]: value }]
+
+      Object.values(UNSUPPORTED_CHAIN_POLICIES).forEach((policy) => {
+        expect(() => applyUnsupportedChainPolicy(networks, policy)).toThrow(
+          `chainId ${UNKNOWN_CHAIN_ID} sets ${selector}, which needs an upstream RPC`
+        )
+      })
+    }
+  )
+})
@@ -0,0 +1,308 @@
+/**
+ * Chain registry for BuildBear GitHub Action
+ * Single list of supported chains, their names, aliases and upstream RPC URLs
+ */
+
+const DRPC_KEY = 'AgsHzj-05Uovs5mK4tt6_lQ383cAPHUR8LSXbrRhIxXF'
+
+/**
+ * Build a dRPC load balancer URL for a network
+ */
+const drpc = (network) =>
+  `https://lb.drpc.org/ogrpc?network=${network}&dkey=${DRPC_KEY}`
+
+/**
+ * Multicall3 is deployed at the same address on most EVM chains
+ */
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11'
+
+/**
+ * Readiness probe on the Multicall3 contract, deployed at the given block
+ */
+const multicall3 = (deployedAt) => ({ address: MULTICALL3_ADDRESS, deployedAt })
+
+/**
+ * Supported chains
+ *
+ * reorgDepth is how many blocks behind the latest block a fork starts when a
+ * network sets neither blockNumber nor block. It covers the reorgs seen in
+ * practice on each chain: a few blocks on chains with fast finality, more on
+ * chains with frequent short reorgs or sub-second blocks.
+ *
+ * readinessProbe names a contract that a sandbox forked at or after
+ * deployedAt must have code for before it counts as ready.
+ */
+const CHAINS = [
+  {
+    chainId: 1,
+    name: 'ethereum',
+    aliases: ['mainnet', 'eth', 'ethereum-mainnet'],
+    rpcUrls: [drpc('ethereum')],
+    reorgDepth: 12,
+    readinessProbe: multicall3(14353601),
+  },
+  {
+    chainId: 56,
+    name: 'bsc',
+    aliases: ['bnb', 'binance', 'bnb-smart-chain', 'bsc-mainnet'],
+    rpcUrls: [drpc('bsc')],
+    reorgDepth: 15,
+    readinessProbe: multicall3(15921452),
+  },
+  {
+    chainId: 137,
+    name: 'polygon',
+    aliases: ['matic', 'polygon-pos', 'polygon-mainnet'],
+    rpcUrls: [drpc('polygon')],
+    reorgDepth: 128,
+    readinessProbe: multicall3(25770160),
+  },
+  {
+    chainId: 80002,
+    name: 'polygon-amoy',
+    aliases: ['amoy'],
+    rpcUrls: [drpc('polygon-amoy')],
+    reorgDepth: 128,
+    readinessProbe: multicall3(3127388),
+  },
+  {
+    chainId: 10,
+    name: 'optimism',
+    aliases: ['op', 'op-mainnet', 'optimism-mainnet'],
+    rpcUrls: [drpc('optimism')],
+    reorgDepth: 60,
+    readinessProbe: multicall3(4286263),
+  },
+  {
+    chainId: 42161,
+    name: 'arbitrum',
+    aliases: ['arb', 'arbitrum-one', 'arbitrum-mainnet'],
+    rpcUrls: ['https://rpc.ankr.com/arbitrum'],
+    reorgDepth: 240,
+    readinessProbe: multicall3(7654707),
+  },
+  {
+    chainId: 421614,
+    name: 'arbitrum-sepolia',
+    aliases: ['arb-sepolia'],
+    rpcUrls: ['https://rpc.ankr.com/arbitrum_sepolia'],
+    reorgDepth: 240,
+    readinessProbe: multicall3(81930),
+  },
+  {
+    chainId: 11155111,
+    name: 'sepolia',
+    aliases: ['ethereum-sepolia', 'eth-sepolia'],
+    rpcUrls: [drpc('sepolia')],
+    reorgDepth: 12,
+    readinessProbe: multicall3(751532),
+  },
+  {
+    chainId: 43114,
+    name: 'avalanche',
+    aliases: ['avax', 'avalanche-c-chain'],
+    rpcUrls: ['https://rpc.ankr.com/avalanche'],
+    reorgDepth: 5,
+    readinessProbe: multicall3(11907934),
+  },
+  {
+    chainId: 2222,
+    name: 'kava',
+    aliases: ['kava-evm'],
+    rpcUrls: ['https://evm.kava.io'],
+    reorgDepth: 5,
+    readinessProbe: multicall3(3661165),
+  },
+  {
+    chainId: 1101,
+    name: 'polygon-zkevm',
+    aliases: ['zkevm'],
+    rpcUrls: ['https://zkevm-rpc.com'],
+    reorgDepth: 20,
+    readinessProbe: multicall3(57746),
+  },
+  {
+    chainId: 59144,
+    name: 'linea',
+    aliases: ['linea-mainnet'],
+    rpcUrls: ['https://rpc.linea.build'],
+    reorgDepth: 60,
+    readinessProbe: multicall3(42),
+  },
+  {
+    chainId: 59141,
+    name: 'linea-sepolia',
+    aliases: [],
+    rpcUrls: ['https://rpc.sepolia.linea.build'],
+    reorgDepth: 60,
+    readinessProbe: multicall3(227427),
+  },
+  {
+    chainId: 100,
+    name: 'gnosis',
+    aliases: ['xdai', 'gnosis-chain'],
+    rpcUrls: ['https://rpc.ankr.com/gnosis'],
+    reorgDepth: 20,
+    readinessProbe: multicall3(21022491),
+  },
+  {
+    chainId: 97,
+    name: 'bsc-testnet',
+    aliases: ['bnb-testnet', 'chapel'],
+    rpcUrls: ['https://rpc.ankr.com/bsc_testnet_chapel'],
+    reorgDepth: 15,
+    readinessProbe: multicall3(17422483),
+  },
+  {
+    chainId: 165,
+    name: 'omni-testnet',
+    aliases: [],
+    rpcUrls: ['https://testnet.omni.network'],
+    reorgDepth: 10,
+  },
+  {
+    chainId: 17000,
+    name: 'holesky',
+    aliases: ['ethereum-holesky'],
+    rpcUrls: [drpc('holesky')],
+    reorgDepth: 12,
+    readinessProbe: multicall3(77),
+  },
+  {
+    chainId: 8453,
+    name: 'base',
+    aliases: ['base-mainnet'],
+    rpcUrls: ['https://mainnet.base.org'],
+    reorgDepth: 60,
+    readinessProbe: multicall3(5022),
+  },
+  {
+    chainId: 84532,
+    name: 'base-sepolia',
+    aliases: [],
+    rpcUrls: ['https://sepolia.base.org'],
+    reorgDepth: 60,
+    readinessProbe: multicall3(1059647),
+  },
+]
+
+/**
+ * Normalize a chain name for lookups ("Arbitrum Sepolia" -> "arbitrum-sepolia")
+ */
+const normalizeChainName = (name) =>
+  String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-')
+
+/**
+ * Get a chain by its chain ID
+ *
+ * @param {number} chainId - Chain ID
+ * @returns {Object|undefined} Chain entry
+ */
+const getChainById = (chainId) =>
+  CHAINS.find((chain) => chain.chainId === Number(chainId))
+
+/**
+ * Get a chain by its name or one of its aliases
+ *
+ * @param {string} name - Chain name or alias
+ * @returns {Object|undefined} Chain entry
+ */
+const getChainByName = (name) => {
+  const normalized = normalizeChainName(name)
+
+  return CHAINS.find(
+    (chain) => chain.name === normalized || chain.aliases.includes(normalized)
+  )
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+const editDistance = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0]
+    previous[0] = i
+
+    for (let j = 1; j <= b.length; j++) {
+      const current = previous[j]
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+      diagonal = current
+    }
+  }
+
+  return previous[b.length]
+}
+
+/**
+ * Find the closest known chain name or alias
+ *
+ * @param {string} name - Unknown chain name
+ * @returns {string|null} Closest name, or null if nothing is close enough
+ */
+const suggestChainName = (name) => {
+  const normalized = normalizeChainName(name)
+  const candidates = CHAINS.flatMap((chain) => [chain.name, ...chain.aliases])
+
+  let best = null
+  let bestDistance = Infinity
+
+  for (const candidate of candidates) {
+    const distance = editDistance(normalized, candidate)
+    if (distance < bestDistance) {
+      best = candidate
+      bestDistance = distance
+    }
+  }
+
+  // Only suggest names that are a plausible typo of the input
+  return bestDistance <= Math.max(1, Math.floor(normalized.length / 3))
+    ? best
+    : null
+}
+
+/**
+ * Resolve a chain name or alias to its chain entry
+ *
+ * @param {string} name - Chain name or alias
+ * @returns {Object} Chain entry
+ * @throws {Error} If the name is unknown
+ */
+const resolveChainName = (name) => {
+  const chain = getChainByName(name)
+
+  if (!chain) {
+    const suggestion = suggestChainName(name)
+    throw new Error(
+      `Unknown chain "${name}".${suggestion ? ` Did you mean "${suggestion}"?` : ''}`
+    )
+  }
+
+  return chain
+}
+
+/**
+ * List the supported chains with their names and aliases
+ *
+ * @returns {Array<Object>} Supported chains, without their RPC URLs
+ */
+const listSupportedChains = () =>
+  CHAINS.map(({ chainId, name, aliases }) => ({ chainId, name, aliases }))
+
+module.exports = {
+  CHAINS,
+  MULTICALL3_ADDRESS,
+  listSupportedChains,
+  getChainById,
+  getChainByName,
+  resolveChainName,
+  suggestChainName,
+}
@@ -0,0 +1,121 @@
+/**
+ * Failure policy for multi-network runs
+ * Decides which failed chains abort the run or fail the job
+ */
+
+const { getChainById, resolveChainName } = require('./chains')
+
+/**
+ * Failure policy modes
+ */
+const FAILURE_POLICIES = {
+  FAIL_FAST: 'fail-fast',
+  CONTINUE: 'continue',
+  ALLOW_FAILURES: 'allow-failures',
+}
+
+/**
+ * Resolve an allow-failures entry (chain ID or chain name) to a chain ID
+ */
+const toChainId = (entry) => {
+  if (typeof entry === 'number' && Number.isInteger(entry)) {
+    return entry
+  }
+
+  if (typeof entry === 'string' && /^\d+$/.test(entry.trim())) {
+    return Number(entry.trim())
+  }
+
+  if (typeof entry === 'string') {
+    return resolveChainName(entry).chainId
+  }
+
+  throw new Error(`Invalid chain in allow-failures: ${JSON.stringify(entry)}`)
+}
+
+/**
+ * Parse a failure policy
+ *
+ * Accepts 'fail-fast', 'continue' or 'allow-failures: [chainIds]'. Chains in
+ * the allow list may be given by ID or by name.
+ *
+ * @param {string} [policyInput] - Raw failure-policy input
+ * @returns {{mode: string, allowedChainIds: Array<number>}} Failure policy
+ */
+const parseFailurePolicy = (policyInput) => {
+  const value = (policyInput || '').trim()
+
+  if (!value) {
+    return { mode: FAILURE_POLICIES.CONTINUE, allowedChainIds: [] }
+  }
+
+  if (
+    value === FAILURE_POLICIES.FAIL_FAST ||
+    value === FAILURE_POLICIES.CONTINUE
+  ) {
+    return { mode: value, allowedChainIds: [] }
+  }
+
+  const match = value.match(/^allow-failures\s*:\s*(.+)$/s)
+
+  if (!match) {
+    throw new Error(
+      `Invalid failure-policy "${value}": expected 'fail-fast', 'continue' or 'allow-failures: [chainIds]'`
+    )
+  }
+
+  let chains
+  try {
+    chains = JSON.parse(match[1])
+  } catch (error) {
+    throw new Error(
+      `Invalid failure-policy "${value}": allow-failures must be followed by a JSON array`
+    )
+  }
+
+  if (!Array.isArray(chains)) {
+    throw new Error(
+      `Invalid failure-policy "${value}": allow-failures must be followed by a JSON array`
+    )
+  }
+
+  return {
+    mode: FAILURE_POLICIES.ALLOW_FAILURES,
+    allowedChainIds: chains.map(toChainId),
+  }
+}
+
+/**
+ * Check whether a failed chain is tolerated by the policy
+ *
+ * @param {Object} policy - Parsed failure policy
+ * @param {number} chainId - Chain ID of the failed deployment
+ * @returns {boolean} True if the failure should not fail the job
+ */
+const isFailureAllowed = (policy, chainId) =>
+  policy.mode === FAILURE_POLICIES.ALLOW_FAILURES &&
+  policy.allowedChainIds.includes(Number(chainId))
+
+/**
+ * Describe a failure policy for logs
+ *
+ * @param {Object} policy - Parsed failure policy
+ * @returns {string} Human readable policy
+ */
+const describeFailurePolicy = (policy) => {
+  if (policy.mode !== FAILURE_POLICIES.ALLOW_FAILURES) {
+    return policy.mode
+  }
+
+  const chains = policy.allowedChainIds.map(
+    (chainId) => getChainById(chainId)?.name || String(chainId)
+  )
+  return `${policy.mode}: [${chains.join(', ')}]`
+}
+
+module.exports = {
+  FAILURE_POLICIES,
+  parseFailurePolicy,
+  isFailureAllowed,
+  describeFailurePolicy,
+}
@@ -0,0 +1,174 @@
+/**
+ * Sandbox account configuration
+ * Validates the `fund` and `impersonate` sections of network entries
+ */
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/
+
+/**
+ * Amounts are decimal numbers in whole units, e.g. "100" or "0.5"
+ */
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/
+
+const FUND_ENTRY_KEYS = ['address', 'native', 'erc20']
+const ERC20_ENTRY_KEYS = ['token', 'amount', 'holder']
+
+/**
+ * Check that a value is an address
+ */
+const validateAddress = (value, name) => {
+  if (typeof value !== 'string' || !ADDRESS_PATTERN.test(value)) {
+    throw new Error(
+      `${name} must be a 0x-prefixed 20-byte address, got ${JSON.stringify(value)}`
+    )
+  }
+  return value
+}
+
+/**
+ * Check that a value is an amount and return it as a string
+ *
+ * Numbers from JSON or YAML are accepted only when they are exact: integers
+ * beyond Number.MAX_SAFE_INTEGER have lost digits, and numbers such as 1e21
+ * print in exponent notation, so such amounts must be quoted.
+ */
+const validateAmount = (value, name) => {
+  if (
+    typeof value === 'number' &&
+    value > 0 &&
+    Number.isFinite(value) &&
+    (!AMOUNT_PATTERN.test(String(value)) ||
+      (Number.isInteger(value) && !Number.isSafeInteger(value)))
+  ) {
+    throw new Error(
+      `${name} is the number ${value}, which cannot be read exactly: quote the amount as a string, e.g. "1000000000000000000000" instead of 1e21`
+    )
+  }
+
+  const amount = typeof value === 'number' ? String(value) : value
+
+  if (typeof amount !== 'string' || !AMOUNT_PATTERN.test(amount)) {
+    throw new Error(
+      `${name} must be a decimal amount such as "100" or "0.5", got ${JSON.stringify(value)}`
+    )
+  }
+  return amount
+}
+
+/**
+ * Check that an object has only known keys
+ */
+const validateKeys = (object, keys, name) => {
+  if (typeof object !== 'object' || object === null || Array.isArray(object)) {
+    throw new Error(`${name} must be an object`)
+  }
+
+  const unknown = Object.keys(object).filter((key) => !keys.includes(key))
+  if (unknown.length > 0) {
+    throw new Error(`${name} has unknown key(s): ${unknown.join(', ')}`)
+  }
+}
+
+/**
+ * Parse the fund section of a network entry
+ *
+ * Each entry names an account, the native balance to give it and ERC-20
+ * amounts to transfer to it from a holder account:
+ * [{"address": "0x...", "native": "100", "erc20": [{"token": "0x...", "amount": "5000", "holder": "0x..."}]}]
+ *
+ * @param {Array} fund - Fund section of a network entry
+ * @param {number} chainId - Chain ID of the network, for error messages
+ * @returns {Array<{address: string, native?: string, erc20: Array}>} Funding entries
+ * @throws {Error} If the section is malformed
+ */
+const parseFunding = (fund, chainId) => {
+  if (!Array.isArray(fund)) {
+    throw new Error(`fund for chainId ${chainId} must be an array`)
+  }
+
+  return fund.map((entry, index) => {
+    const name = (field = '') => `fund[${index}]${field} for chainId ${chainId}`
+    validateKeys(entry, FUND_ENTRY_KEYS, name())
+
+    const address = validateAddress(entry.address, name('.address'))
+    const erc20 = entry.erc20 ?? []
+
+    if (!Array.isArray(erc20)) {
+      throw new Error(`${name('.erc20')} must be an array`)
+    }
+
+    if (entry.native === undefined && erc20.length === 0) {
+      throw new Error(`${name()} must set native or erc20`)
+    }
+
+    return {
+      address,
+      ...(entry.native !== undefined && {
+        native: validateAmount(entry.native, name('.native')),
+      }),
+      erc20: erc20.map((transfer, transferIndex) => {
+        const field = `.erc20[${transferIndex}]`
+        validateKeys(transfer, ERC20_ENTRY_KEYS, name(field))
+
+        return {
+          token: validateAddress(transfer.token, name(`${field}.token`)),
+          amount: validateAmount(transfer.amount, name(`${field}.amount`)),
+          holder: validateAddress(transfer.holder, name(`${field}.holder`)),
+        }
+      }),
+    }
+  })
+}
+
+/**
+ * Parse the impersonate section of a network entry
+ *
+ * @param {Array<string>} impersonate - Addresses to impersonate
+ * @param {number} chainId - Chain ID of the network, for error messages
+ * @returns {Array<string>} Addresses without duplicates, in input order
+ * @throws {Error} If the section is malformed
+ */
+const parseImpersonatedAccounts = (impersonate, chainId) => {
+  if (!Array.isArray(impersonate)) {
+    throw new Error(`impersonate for chainId ${chainId} must be an array`)
+  }
+
+  const seen = new Set()
+
+  return impersonate
+    .map((address, index) =>
+      validateAddress(address, `impersonate[${index}] for chainId ${chainId}`)
+    )
+    .filter((address) => {
+      const key = address.toLowerCase()
+      if (seen.has(key)) {
+        return false
+      }
+      seen.add(key)
+      return true
+    })
+}
+
+/**
+ * Convert a decimal amount to base units
+ *
+ * @param {string} amount - Decimal amount, e.g. "1.5"
+ * @param {number} decimals - Decimals of the token
+ * @returns {bigint} Amount in base units
+ * @throws {Error} If the amount has more fractional digits than the token
+ */
+const parseUnits = (amount, decimals) => {
+  const [whole, fraction = ''] = amount.split('.')
+
+  if (fraction.length > decimals) {
+    throw new Error(`Amount ${amount} has more than ${decimals} decimals`)
+  }
+
+  return BigInt(whole + fraction.padEnd(decimals, '0'))
+}
+
+module.exports = {
+  parseFunding,
+  parseImpersonatedAccounts,
+  parseUnits,
+}
@@ -32,13 +32,18 @@ const baseConfig = {
     baseUrl: process.env.BUILDBEAR_BASE_URL || 'https://api.buildbear.io',
     timeout: parseInt(process.env.API_TIMEOUT, 10) || 600000, // 10 minutes
     retryAttempts: parseInt(process.env.API_RETRY_ATTEMPTS, 10) || 3,
+    retryBudget: parseInt(process.env.API_RETRY_BUDGET, 10) || 30, // Retries shared by all calls of a run
   },
 
   // Sandbox Configuration
   sandbox: {
-    maxRetries: parseInt(process.env.SANDBOX_MAX_RETRIES, 10) || 10,
     retryDelay: parseInt(process.env.SANDBOX_RETRY_DELAY, 10) || 5000,
-    timeout: parseInt(process.env.SANDBOX_TIMEOUT, 10) || 300000, // 5 minutes
+    timeout: parseInt(process.env.SANDBOX_TIMEOUT, 10) || 300000, // 5 minutes to become ready
+  },
+
+  // Upstream RPC Configuration
+  rpc: {
+    timeout: parseInt(process.env.RPC_TIMEOUT, 10) || 10000, // 10 seconds
   },
 
   // Logging Configuration
@@ -80,8 +85,8 @@ const environmentConfigs = {
     },
     sandbox: {
       ...baseConfig.sandbox,
-      maxRetries: 2,
       retryDelay: 1000,
+      timeout: 10000,
     },
   },
 
@@ -119,8 +124,12 @@ const validateConfig = () => {
     errors.push('API timeout must be positive')
   }
 
-  if (config.sandbox.maxRetries <= 0) {
-    errors.push('Sandbox max retries must be positive')
+  if (config.rpc.timeout <= 0) {
+    errors.push('RPC timeout must be positive')
+  }
+
+  if (config.sandbox.timeout <= 0) {
+    errors.push('Sandbox timeout must be positive')
   }
 
   if (errors.length > 0) {
@@ -130,6 +139,87 @@ const validateConfig = () => {
   return true
 }
 
+/**
+ * Schema of the repository configuration file (.buildbear.yml or
+ * .buildbear.json). Values are checked for their type here and parsed by the
+ * same functions as the matching action inputs.
+ */
+const REPOSITORY_CONFIG_SCHEMA = {
+  networks: 'array',
+  deployCommand: 'string',
+  maxParallel: 'integer',
+  failurePolicy: 'string',
+  sandboxRetention: 'string',
+  manifestPath: 'string',
+  envPrefix: 'string',
+  upstreamRpcUrls: 'object',
+  unsupportedChain: 'string',
+  blockPinFile: 'string',
+  pinBlocksFrom: 'string',
+  sandboxId: 'string',
+  resimulateFrom: 'string',
+  artifacts: {
+    testArtifactsFile: 'string',
+  },
+}
+
+/**
+ * Check a value against a schema type
+ */
+const matchesType = (value, type) => {
+  if (type === 'array') return Array.isArray(value)
+  if (type === 'integer') return Number.isInteger(value)
+  if (type === 'object') {
+    return typeof value === 'object' && value !== null && !Array.isArray(value)
+  }
+  return typeof value === type
+}
+
+/**
+ * Collect schema violations of an object
+ */
+const collectSchemaErrors = (object, schema, prefix, errors) => {
+  if (typeof object !== 'object' || object === null || Array.isArray(object)) {
+    errors.push(`${prefix || 'configuration'} must be an object`)
+    return
+  }
+
+  for (const [key, value] of Object.entries(object)) {
+    const name = prefix ? `${prefix}.${key}` : key
+    const type = schema[key]
+
+    if (type === undefined) {
+      errors.push(`unknown key "${name}"`)
+    } else if (typeof type === 'object') {
+      collectSchemaErrors(value, type, name, errors)
+    } else if (!matchesType(value, type)) {
+      errors.push(
+        `"${name}" must be ${type === 'integer' ? 'an' : 'a'} ${type}`
+      )
+    }
+  }
+}
+
+/**
+ * Validate a repository configuration file against its schema
+ *
+ * @param {Object} fileConfig - Parsed configuration file
+ * @param {string} source - File path, for error messages
+ * @returns {boolean} True if the configuration is valid
+ */
+const validateRepositoryConfig = (fileConfig, source) => {
+  const errors = []
+  collectSchemaErrors(fileConfig, REPOSITORY_CONFIG_SCHEMA, '', errors)
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Configuration file validation failed (${source}): ${errors.join(', ')}`
+    )
+  }
+
+  return true
+}
+
 /**
  * Get BuildBear API token with validation
  */
@@ -150,5 +240,6 @@ module.exports = {
   getCurrentEnvironment,
   getConfig,
   validateConfig,
+  validateRepositoryConfig,
   getApiToken,
 }
@@ -0,0 +1,76 @@
+/**
+ * Repository configuration file for BuildBear GitHub Action
+ * Loads .buildbear.yml or .buildbear.json from the working directory
+ */
+
+const fs = require('fs')
+const path = require('path')
+const YAML = require('yaml')
+const { validateRepositoryConfig } = require('./index')
+
+/**
+ * Configuration file names, in lookup order
+ */
+const REPOSITORY_CONFIG_FILES = [
+  '.buildbear.yml',
+  '.buildbear.yaml',
+  '.buildbear.json',
+]
+
+/**
+ * Find the configuration file in a directory
+ *
+ * @param {string} workingDirectory - Directory to search
+ * @returns {string|null} Path to the configuration file or null
+ */
+const findRepositoryConfig = (workingDirectory) => {
+  const found = REPOSITORY_CONFIG_FILES.map((fileName) =>
+    path.join(workingDirectory, fileName)
+  ).filter((filePath) => fs.existsSync(filePath))
+
+  if (found.length > 1) {
+    throw new Error(
+      `Found more than one configuration file: ${found.map((filePath) => path.basename(filePath)).join(', ')}. Keep only one.`
+    )
+  }
+
+  return found[0] || null
+}
+
+/**
+ * Load and validate the repository configuration file
+ *
+ * @param {string} workingDirectory - Directory containing the file
+ * @returns {{path: string|null, config: Object}} File path and its settings, empty if there is no file
+ */
+const loadRepositoryConfig = (workingDirectory) => {
+  const filePath = findRepositoryConfig(workingDirectory)
+
+  if (!filePath) {
+    return { path: null, config: {} }
+  }
+
+  let config
+  try {
+    const content = fs.readFileSync(filePath, 'utf8')
+    config =
+      path.extname(filePath) === '.json'
+        ? JSON.parse(content)
+        : YAML.parse(content)
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath}: ${error.message}`)
+  }
+
+  // An empty YAML file parses to null
+  config = config ?? {}
+
+  validateRepositoryConfig(config, filePath)
+
+  return { path: filePath, config }
+}
+
+module.exports = {
+  REPOSITORY_CONFIG_FILES,
+  findRepositoryConfig,
+  loadRepositoryConfig,
+}
@@ -0,0 +1,41 @@
+/**
+ * Sandbox snapshot configuration
+ * Names the snapshots taken around the deploy command and the one that test
+ * resimulation starts from
+ */
+
+/**
+ * Snapshot points: after the sandbox is ready and its accounts are prepared,
+ * and after a successful deploy command
+ */
+const SNAPSHOT_POINTS = {
+  READY: 'ready',
+  DEPLOYED: 'deployed',
+}
+
+/**
+ * Parse the resimulate-from input
+ *
+ * @param {string} [resimulateFromInput] - Raw resimulate-from input
+ * @returns {string|null} Snapshot point to revert to before test resimulation, null to keep the sandbox state
+ */
+const parseResimulateFrom = (resimulateFromInput) => {
+  const value = (resimulateFromInput || '').trim()
+
+  if (!value) {
+    return null
+  }
+
+  if (!Object.values(SNAPSHOT_POINTS).includes(value)) {
+    throw new Error(
+      `Invalid resimulate-from "${value}": expected one of ${Object.values(SNAPSHOT_POINTS).join(', ')}`
+    )
+  }
+
+  return value
+}
+
+module.exports = {
+  SNAPSHOT_POINTS,
+  parseResimulateFrom,
+}
@@ -0,0 +1,102 @@
+/**
+ * Policy for chains without a known upstream RPC
+ * Decides what happens to networks whose fork block cannot be looked up
+ */
+
+const { hasUpstreamRpc } = require('../network')
+
+/**
+ * Unsupported chain policies
+ */
+const UNSUPPORTED_CHAIN_POLICIES = {
+  ERROR: 'error',
+  SANDBOX_LATEST: 'sandbox-latest',
+}
+
+/**
+ * Parse the unsupported-chain policy
+ *
+ * @param {string} [policyInput] - Raw unsupported-chain input
+ * @returns {string} Policy, 'error' by default
+ */
+const parseUnsupportedChainPolicy = (policyInput) => {
+  const value = (policyInput || '').trim()
+
+  if (!value) {
+    return UNSUPPORTED_CHAIN_POLICIES.ERROR
+  }
+
+  if (!Object.values(UNSUPPORTED_CHAIN_POLICIES).includes(value)) {
+    throw new Error(
+      `Invalid unsupported-chain "${value}": expected one of ${Object.values(UNSUPPORTED_CHAIN_POLICIES).join(', ')}`
+    )
+  }
+
+  return value
+}
+
+/**
+ * Fork block selectors that can only be resolved through an upstream RPC
+ */
+const RPC_BLOCK_SELECTORS = ['block', 'blockTimestamp', 'forkAtTransaction']
+
+/**
+ * Apply the policy to networks whose latest block cannot be looked up
+ *
+ * A network is unsupported when it has no blockNumber, does not reuse a
+ * sandbox, and its chain has neither a built-in nor a user-supplied upstream
+ * RPC. With 'sandbox-latest'
+ * these networks are marked so that BuildBear picks the fork block. Networks
+ * that select their fork block with block, blockTimestamp or
+ * forkAtTransaction are rejected under either policy, since forking at the
+ * latest block would ignore the selection.
+ *
+ * @param {Array} networks - Parsed network configurations
+ * @param {string} policy - Parsed unsupported-chain policy
+ * @returns {Array} Networks, with unsupported ones marked
+ * @throws {Error} If a network is unsupported and the policy is 'error', or it selects its fork block through an upstream RPC
+ */
+const applyUnsupportedChainPolicy = (networks, policy) => {
+  const unsupported = networks.filter(
+    (network) =>
+      network.blockNumber === undefined &&
+      !network.sandboxId &&
+      !hasUpstreamRpc(network.chainId)
+  )
+
+  if (unsupported.length === 0) {
+    return networks
+  }
+
+  for (const network of unsupported) {
+    const selectors = RPC_BLOCK_SELECTORS.filter(
+      (selector) => network[selector] !== undefined
+    )
+
+    if (selectors.length > 0) {
+      throw new Error(
+        `chainId ${network.chainId} sets ${selectors.join(', ')}, which needs an upstream RPC to resolve, but none is known for the chain. Supply an RPC through upstream-rpc-urls or BUILDBEAR_UPSTREAM_RPC_${network.chainId}, or set a blockNumber.`
+      )
+    }
+  }
+
+  const chainIds = unsupported.map((network) => network.chainId).join(', ')
+
+  if (policy === UNSUPPORTED_CHAIN_POLICIES.ERROR) {
+    throw new Error(
+      `No upstream RPC known for chainId(s) ${chainIds}. Set a blockNumber, supply an RPC through upstream-rpc-urls or BUILDBEAR_UPSTREAM_RPC_<chainId>, or set unsupported-chain to 'sandbox-latest'. The supported chains are listed in the 'supported-chains' output.`
+    )
+  }
+
+  return networks.map((network) =>
+    unsupported.includes(network)
+      ? { ...network, sandboxLatestBlock: true }
+      : network
+  )
+}
+
+module.exports = {
+  UNSUPPORTED_CHAIN_POLICIES,
+  parseUnsupportedChainPolicy,
+  applyUnsupportedChainPolicy,
+}
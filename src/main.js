@@ -1,8 +1,166 @@
 const core = require('@actions/core')
 const path = require('path')
 const { validateConfig } = require('./config')
+const { resolveChainName, listSupportedChains } = require('./config/chains')
+const { loadRepositoryConfig } = require('./config/repositoryConfig')
+const { parseFunding, parseImpersonatedAccounts } = require('./config/funding')
+const { parseResimulateFrom } = require('./config/snapshots')
+const {
+  parseUnsupportedChainPolicy,
+  applyUnsupportedChainPolicy,
+} = require('./config/unsupportedChainPolicy')
+const {
+  parseUpstreamRpcUrls,
+  setUpstreamRpcUrls,
+  parseBlockSelector,
+  parseBlockTimestamp,
+  parseForkTransaction,
+} = require('./network')
+const {
+  parseFailurePolicy,
+  describeFailurePolicy,
+} = require('./config/failurePolicy')
 const { logger } = require('./services/logger')
+const { getRetryStats, describeRetryStats } = require('./utilities/retryUtils')
 const { deploymentService } = require('./services/deploymentService')
+const { sandboxTeardownService } = require('./services/sandboxTeardownService')
+const { jobSummaryService } = require('./services/jobSummaryService')
+const { manifestService } = require('./services/manifestService')
+const { blockPinService } = require('./services/blockPinService')
+const { outputService, RUN_STATUS } = require('./services/outputService')
+const { planService } = require('./services/planService')
+
+/**
+ * Default file name of the forge test artifacts sent for resimulation
+ */
+const DEFAULT_TEST_ARTIFACTS_FILE = 'bbOut.json'
+
+/**
+ * Resolve chain names and aliases in a network entry to a chainId
+ *
+ * Entries may be a plain chain name ("base"), an object with a `chain` name
+ * ({"chain": "polygon"}) or an object with a numeric `chainId`.
+ *
+ * @param {string|Object} entry - Network entry from the input
+ * @returns {Object} Network configuration with a chainId
+ */
+function normalizeNetworkEntry(entry) {
+  if (typeof entry === 'string') {
+    return { chain: entry, chainId: resolveChainName(entry).chainId }
+  }
+
+  if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+    throw new Error('Each network must be an object or a chain name')
+  }
+
+  if (entry.chain === undefined) {
+    return entry
+  }
+
+  if (typeof entry.chain !== 'string') {
+    throw new Error('chain must be a string if provided')
+  }
+
+  const { chainId } = resolveChainName(entry.chain)
+
+  if (entry.chainId !== undefined && entry.chainId !== chainId) {
+    throw new Error(
+      `chain "${entry.chain}" has chainId ${chainId}, but chainId ${entry.chainId} was given`
+    )
+  }
+
+  return { ...entry, chainId }
+}
+
+/**
+ * Validate the optional per-network overrides of the global inputs
+ *
+ * @param {Object} network - Network configuration
+ */
+function validateNetworkOverrides(network) {
+  const { chainId, deployCommand, env, workingDirectory } = network
+
+  if (
+    deployCommand !== undefined &&
+    (typeof deployCommand !== 'string' || deployCommand.trim() === '')
+  ) {
+    throw new Error(
+      `deployCommand for chainId ${chainId} must be a non-empty string if provided`
+    )
+  }
+
+  if (
+    workingDirectory !== undefined &&
+    (typeof workingDirectory !== 'string' || workingDirectory.trim() === '')
+  ) {
+    throw new Error(
+      `workingDirectory for chainId ${chainId} must be a non-empty string if provided`
+    )
+  }
+
+  if (env !== undefined) {
+    if (typeof env !== 'object' || env === null || Array.isArray(env)) {
+      throw new Error(`env for chainId ${chainId} must be an object`)
+    }
+
+    for (const [key, value] of Object.entries(env)) {
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        throw new Error(
+          `env.${key} for chainId ${chainId} must be a string, number or boolean`
+        )
+      }
+    }
+  }
+}
+
+/**
+ * Check that a sandbox ID is a non-empty string
+ *
+ * @param {*} sandboxId - Sandbox ID to check
+ * @param {number} [chainId] - Chain ID of the network, for error messages
+ */
+function validateSandboxId(sandboxId, chainId) {
+  if (typeof sandboxId !== 'string' || sandboxId.trim() === '') {
+    throw new Error(
+      `sandboxId${chainId ? ` for chainId ${chainId}` : ''} must be a non-empty string`
+    )
+  }
+}
+
+/**
+ * Apply the sandbox-id input to the network list
+ *
+ * A single sandbox forks a single chain, so the input needs exactly one
+ * network. Networks of a multi-chain run set their own sandboxId instead.
+ *
+ * @param {Array} networks - Parsed network configurations
+ * @param {string} [sandboxId] - Sandbox to reuse
+ * @returns {Array} Networks with the sandbox ID applied
+ */
+function applySandboxId(networks, sandboxId) {
+  if (!sandboxId) {
+    return networks
+  }
+
+  validateSandboxId(sandboxId)
+
+  if (networks.length !== 1) {
+    throw new Error(
+      `sandbox-id needs exactly one network, got ${networks.length}. Set sandboxId on each network entry instead.`
+    )
+  }
+
+  const [network] = networks
+
+  if (network.sandboxId !== undefined && network.sandboxId !== sandboxId) {
+    throw new Error(
+      `sandbox-id ${sandboxId} conflicts with sandboxId ${network.sandboxId} of chainId ${network.chainId}`
+    )
+  }
+
+  // Re-validate, so that block fields conflicting with the input are caught
+  return parseNetworks([{ ...network, sandboxId }])
+}
 
 /**
  * Parse network input from action configuration
@@ -15,61 +173,287 @@ function parseNetworkInput(networkInput) {
     return []
   }
 
+  let networks
   try {
-    const networks = JSON.parse(networkInput)
+    networks = JSON.parse(networkInput)
+  } catch (error) {
+    throw new Error(`Invalid network configuration: ${error.message}`)
+  }
+
+  return parseNetworks(networks)
+}
 
+/**
+ * Validate and normalize a list of network entries
+ *
+ * @param {Array} networks - Network entries from the input or the configuration file
+ * @returns {Array} Validated network array
+ */
+function parseNetworks(networks) {
+  try {
     if (!Array.isArray(networks)) {
       throw new Error('Network input must be an array')
     }
 
+    // Outputs, env vars and the manifest are keyed by chainId
+    const chainIds = new Set()
+
     // Validate network configurations
-    for (const network of networks) {
+    return networks.map((entry) => {
+      const network = normalizeNetworkEntry(entry)
+
       if (!network.chainId) {
-        throw new Error('Each network must have a chainId')
+        throw new Error('Each network must have a chainId or a chain name')
       }
 
       if (typeof network.chainId !== 'number') {
         throw new Error('chainId must be a number')
       }
 
+      if (chainIds.has(network.chainId)) {
+        throw new Error(`chainId ${network.chainId} is listed more than once`)
+      }
+      chainIds.add(network.chainId)
+
       if (
         network.blockNumber !== undefined &&
         typeof network.blockNumber !== 'number'
       ) {
         throw new Error('blockNumber must be a number if provided')
       }
-    }
 
-    return networks
+      const blockFields = [
+        'blockNumber',
+        'block',
+        'blockTimestamp',
+        'forkAtTransaction',
+      ].filter((field) => network[field] !== undefined)
+
+      if (blockFields.length > 1) {
+        throw new Error(
+          `chainId ${network.chainId} sets ${blockFields.join(' and ')}; use only one`
+        )
+      }
+
+      if (network.sandboxId !== undefined) {
+        validateSandboxId(network.sandboxId, network.chainId)
+
+        if (blockFields.length > 0) {
+          throw new Error(
+            `chainId ${network.chainId} reuses sandbox ${network.sandboxId}, which already has a fork block; remove ${blockFields.join(' and ')}`
+          )
+        }
+      }
+
+      if (network.block !== undefined) {
+        parseBlockSelector(network.block)
+      }
+
+      if (network.blockTimestamp !== undefined) {
+        parseBlockTimestamp(network.blockTimestamp)
+      }
+
+      if (network.forkAtTransaction !== undefined) {
+        parseForkTransaction(network.forkAtTransaction, network.position)
+      } else if (network.position !== undefined) {
+        throw new Error(
+          `position for chainId ${network.chainId} requires forkAtTransaction`
+        )
+      }
+
+      validateNetworkOverrides(network)
+
+      return {
+        ...network,
+        ...(network.fund !== undefined && {
+          fund: parseFunding(network.fund, network.chainId),
+        }),
+        ...(network.impersonate !== undefined && {
+          impersonate: parseImpersonatedAccounts(
+            network.impersonate,
+            network.chainId
+          ),
+        }),
+      }
+    })
   } catch (error) {
     throw new Error(`Invalid network configuration: ${error.message}`)
   }
 }
 
+/**
+ * Parse the maximum number of networks deployed in parallel
+ *
+ * @param {string} maxParallelInput - Raw max-parallel input
+ * @returns {number} Concurrency limit (at least 1)
+ */
+function parseMaxParallel(maxParallelInput) {
+  if (!maxParallelInput) {
+    return 1
+  }
+
+  const maxParallel = Number(maxParallelInput)
+
+  if (!Number.isInteger(maxParallel) || maxParallel < 1) {
+    throw new Error(
+      `Invalid max-parallel value "${maxParallelInput}": must be a positive integer`
+    )
+  }
+
+  return maxParallel
+}
+
 /**
  * Get action inputs with validation
  *
- * @returns {Object} Validated input parameters
+ * @returns {Promise<Object>} Validated input parameters
  */
-function getActionInputs() {
+async function getActionInputs() {
   const networkInput = core.getInput('network', { required: false })
-  const deployCommand = core.getInput('deploy-command', { required: false })
+  const deployCommandInput = core.getInput('deploy-command', {
+    required: false,
+  })
   const workingDirectoryInput =
     core.getInput('working-directory', { required: false }) || '.'
+  const maxParallelInput = core.getInput('max-parallel', { required: false })
+  const sandboxRetentionInput = core.getInput('sandbox-retention', {
+    required: false,
+  })
+  const failurePolicyInput = core.getInput('failure-policy', {
+    required: false,
+  })
+  const manifestPathInput = core.getInput('manifest-path', { required: false })
+  const blockPinFileInput = core.getInput('block-pin-file', { required: false })
+  const pinBlocksFromInput = core.getInput('pin-blocks-from', {
+    required: false,
+  })
+  const envPrefixInput = core.getInput('env-prefix', { required: false })
+  const upstreamRpcUrlsInput = core.getInput('upstream-rpc-urls', {
+    required: false,
+  })
+  const unsupportedChainInput = core.getInput('unsupported-chain', {
+    required: false,
+  })
+  const sandboxIdInput = core.getInput('sandbox-id', { required: false })
+  const resimulateFromInput = core.getInput('resimulate-from', {
+    required: false,
+  })
+  const dryRun = core.getInput('dry-run', { required: false })
+    ? core.getBooleanInput('dry-run')
+    : false
 
-  const networks = parseNetworkInput(networkInput)
   const workingDirectory = path.resolve(process.cwd(), workingDirectoryInput)
 
+  // Action inputs take precedence over the repository configuration file
+  const { path: configPath, config: fileConfig } =
+    loadRepositoryConfig(workingDirectory)
+
+  if (configPath) {
+    logger.info(`Using configuration file: ${configPath}`)
+  }
+
+  const upstreamRpcUrls = parseUpstreamRpcUrls(
+    upstreamRpcUrlsInput || fileConfig.upstreamRpcUrls
+  )
+
+  // User RPC URLs often embed an API key
+  Object.values(upstreamRpcUrls)
+    .flat()
+    .forEach((url) => core.setSecret(url))
+  setUpstreamRpcUrls(upstreamRpcUrls)
+
+  const unsupportedChainPolicy = parseUnsupportedChainPolicy(
+    unsupportedChainInput || fileConfig.unsupportedChain
+  )
+  const blockPinFile = blockPinFileInput
+    ? path.resolve(process.cwd(), blockPinFileInput)
+    : fileConfig.blockPinFile
+      ? path.resolve(workingDirectory, fileConfig.blockPinFile)
+      : null
+  const pinBlocksFrom = pinBlocksFromInput
+    ? path.resolve(process.cwd(), pinBlocksFromInput)
+    : fileConfig.pinBlocksFrom
+      ? path.resolve(workingDirectory, fileConfig.pinBlocksFrom)
+      : null
+
+  // Pinned blocks are applied first, so that pinned chains need no upstream RPC
+  const pins = await blockPinService.loadPins({
+    pinFile: blockPinFile,
+    manifestPath: pinBlocksFrom,
+  })
+  const networks = applyUnsupportedChainPolicy(
+    blockPinService.applyPins(
+      applySandboxId(
+        networkInput
+          ? parseNetworkInput(networkInput)
+          : parseNetworks(fileConfig.networks || []),
+        sandboxIdInput || fileConfig.sandboxId
+      ),
+      pins
+    ),
+    unsupportedChainPolicy
+  )
+
+  for (const network of networks.filter((n) => n.sandboxLatestBlock)) {
+    logger.warn(
+      `No upstream RPC known for chainId ${network.chainId}. BuildBear will fork from its latest block.`
+    )
+  }
+  const deployCommand = deployCommandInput || fileConfig.deployCommand || ''
+  const maxParallel = parseMaxParallel(
+    maxParallelInput || fileConfig.maxParallel
+  )
+  const sandboxRetention = sandboxTeardownService.parseRetention(
+    sandboxRetentionInput || fileConfig.sandboxRetention
+  )
+  const failurePolicy = parseFailurePolicy(
+    failurePolicyInput || fileConfig.failurePolicy
+  )
+  const manifestPath = manifestPathInput
+    ? path.resolve(process.cwd(), manifestPathInput)
+    : fileConfig.manifestPath
+      ? path.resolve(workingDirectory, fileConfig.manifestPath)
+      : null
+  const envPrefix = outputService.parseEnvPrefix(
+    envPrefixInput || fileConfig.envPrefix
+  )
+  const testArtifactsFile =
+    fileConfig.artifacts?.testArtifactsFile || DEFAULT_TEST_ARTIFACTS_FILE
+  const resimulateFrom = parseResimulateFrom(
+    resimulateFromInput || fileConfig.resimulateFrom
+  )
+
   logger.debug('Action inputs parsed', {
     networks,
     deployCommand,
     workingDirectory,
+    maxParallel,
+    sandboxRetention,
+    failurePolicy,
+    manifestPath,
+    envPrefix,
+    dryRun,
+    testArtifactsFile,
+    resimulateFrom,
+    blockPinFile,
+    pinBlocksFrom,
+    upstreamRpcChainIds: Object.keys(upstreamRpcUrls),
+    unsupportedChainPolicy,
   })
 
   return {
     networks,
     deployCommand,
     workingDirectory,
+    maxParallel,
+    sandboxRetention,
+    failurePolicy,
+    manifestPath,
+    envPrefix,
+    dryRun,
+    testArtifactsFile,
+    resimulateFrom,
+    blockPinFile,
   }
 }
 
@@ -77,10 +461,16 @@ function getActionInputs() {
  * Print deployment summary
  *
  * @param {Array} deployments - Array of deployment results
+ * @param {Object} [retryStats] - Retry statistics of the run
  */
-function printDeploymentSummary(deployments) {
+function printDeploymentSummary(deployments, retryStats) {
+  const retries = retryStats ? describeRetryStats(retryStats) : null
+
   if (deployments.length === 0) {
     logger.info('No deployments to summarize')
+    if (retries) {
+      logger.info(`API retries: ${retries}`)
+    }
     return
   }
 
@@ -96,6 +486,11 @@ function printDeploymentSummary(deployments) {
       return
     }
 
+    if (deployment.status === 'skipped') {
+      logger.warn(`Status: Skipped - ${deployment.error || 'Not deployed'}`)
+      return
+    }
+
     console.log(`Status: ${deployment.status}`)
     console.log(`Sandbox ID: ${deployment.sandboxId}`)
     console.log(`RPC URL: ${deployment.rpcUrl}`)
@@ -146,9 +541,53 @@ function printDeploymentSummary(deployments) {
     }
   })
 
+  if (retries) {
+    console.log(`\nAPI retries: ${retries}`)
+  }
+
   console.log('\n' + '='.repeat(100))
 }
 
+/**
+ * Print a plan of the run without creating sandboxes, running the deploy
+ * command or calling the BuildBear API
+ *
+ * @param {Object} params - Plan parameters
+ * @param {Array} params.networks - Array of network configurations
+ * @param {string} params.deployCommand - Default deployment command
+ * @param {string} params.workingDirectory - Default working directory
+ * @param {string} params.testArtifactsFile - File name of the test artifacts
+ */
+async function runDryRun({
+  networks,
+  deployCommand,
+  workingDirectory,
+  testArtifactsFile,
+}) {
+  logger.info('Dry run: no sandboxes will be created')
+
+  const plan = await planService.createPlan({
+    networks,
+    deployCommand,
+    workingDirectory,
+    testArtifactsFile,
+  })
+
+  planService.printPlan(plan)
+  core.setOutput('plan', JSON.stringify(plan, null, 2))
+
+  const errors = planService.getPlanErrors(plan)
+
+  if (errors.length > 0) {
+    core.setFailed(
+      `Dry run found ${errors.length} problem(s): ${errors.join('; ')}`
+    )
+    return
+  }
+
+  logger.success('Dry run completed successfully')
+}
+
 /**
  * Main execution function
  */
@@ -160,28 +599,113 @@ async function main() {
     validateConfig()
     logger.success('Configuration validated successfully')
 
+    core.setOutput('supported-chains', JSON.stringify(listSupportedChains()))
+
     // Get and validate inputs
-    const { networks, deployCommand, workingDirectory } = getActionInputs()
+    const {
+      networks,
+      deployCommand,
+      workingDirectory,
+      maxParallel,
+      sandboxRetention,
+      failurePolicy,
+      manifestPath,
+      envPrefix,
+      dryRun,
+      testArtifactsFile,
+      resimulateFrom,
+      blockPinFile,
+    } = await getActionInputs()
+
+    // The post step tears down sandboxes with the resolved retention
+    core.saveState('sandboxRetention', sandboxRetention)
 
     logger.info('Action inputs:', {
       networkCount: networks.length,
       hasDeployCommand: !!deployCommand,
       workingDirectory,
+      maxParallel,
+      sandboxRetention,
+      failurePolicy: describeFailurePolicy(failurePolicy),
+      dryRun,
     })
 
+    if (dryRun) {
+      await runDryRun({
+        networks,
+        deployCommand,
+        workingDirectory,
+        testArtifactsFile,
+      })
+      return
+    }
+
     // Execute deployment pipeline
     const deployments = await deploymentService.executeDeploymentPipeline({
       networks,
       deployCommand,
       workingDirectory,
+      maxParallel,
+      failurePolicy,
+      testArtifactsFile,
+      resimulateFrom,
     })
 
-    // Print summary
-    printDeploymentSummary(deployments)
+    // Print summary to the log and the job summary
+    const retryStats = getRetryStats()
+    printDeploymentSummary(deployments, retryStats)
+    await jobSummaryService.writeDeploymentSummary(deployments, { retryStats })
 
     // Set outputs
     core.setOutput('deployments', JSON.stringify(deployments, null, 2))
 
+    // Pin the fork blocks for re-runs and sibling matrix jobs
+    if (blockPinFile) {
+      await blockPinService.savePins(blockPinFile, deployments)
+    }
+
+    // Write the deployment manifest
+    if (manifestPath) {
+      const written = await manifestService.writeManifest(
+        manifestPath,
+        deployments
+      )
+      if (written) {
+        core.setOutput('manifest-path', manifestPath)
+      }
+    }
+
+    // Apply the failure policy
+    const failures = deploymentService.getBlockingFailures(
+      deployments,
+      failurePolicy
+    )
+
+    // Set per-chain and per-contract outputs
+    outputService.publish(deployments, {
+      status: outputService.getRunStatus(deployments, failures),
+      envPrefix,
+    })
+
+    const toleratedCount =
+      deployments.filter((deployment) => deployment.status === 'failed')
+        .length - failures.length
+
+    if (toleratedCount > 0) {
+      logger.warn(
+        `${toleratedCount} failed deployment(s) allowed by the failure policy`
+      )
+    }
+
+    if (failures.length > 0) {
+      const failedChains = failures
+        .map((deployment) => deployment.chainId)
+        .join(', ')
+      logger.error(`Deployment failed on chainId(s): ${failedChains}`)
+      core.setFailed(`Deployment failed on chainId(s): ${failedChains}`)
+      return
+    }
+
     logger.success('BuildBear GitHub Action completed successfully')
   } catch (error) {
     logger.error('Action failed', {
@@ -189,11 +713,40 @@ async function main() {
       stack: error.stack,
     })
 
+    core.setOutput('status', RUN_STATUS.FAILED)
     core.setFailed(error.message)
     process.exit(1)
   }
 }
 
+/**
+ * Post-job execution function
+ *
+ * Runs from the `post:` entrypoint, after every other step of the job and
+ * even when the job was cancelled or failed.
+ */
+async function post() {
+  try {
+    logger.info('Running BuildBear sandbox teardown')
+
+    let retention
+    try {
+      retention = sandboxTeardownService.parseRetention(
+        core.getState('sandboxRetention') ||
+          core.getInput('sandbox-retention', { required: false })
+      )
+    } catch (error) {
+      logger.warn(`${error.message}. Keeping all sandboxes.`)
+      return
+    }
+
+    await sandboxTeardownService.teardown(retention)
+  } catch (error) {
+    // Teardown problems should not change the outcome of the job
+    logger.warn(`Sandbox teardown failed: ${error.message}`)
+  }
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
   logger.error('Unhandled Promise Rejection', {
@@ -212,8 +765,14 @@ process.on('uncaughtException', (error) => {
   process.exit(1)
 })
 
-module.exports = { main }
+module.exports = { main, post }
 
 if (require.main === module) {
-  main()
+  // The same bundle serves both the main and the post entrypoint
+  if (core.getState('isPost') === 'true') {
+    post()
+  } else {
+    core.saveState('isPost', 'true')
+    main()
+  }
 }
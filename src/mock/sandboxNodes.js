@@ -0,0 +1,357 @@
+/**
+ * Sandbox nodes for the mock BuildBear backend
+ * Backs mock sandboxes with a local anvil process or a canned JSON-RPC responder
+ */
+
+const crypto = require('crypto')
+const net = require('net')
+const { spawn, spawnSync } = require('child_process')
+const { MULTICALL3_ADDRESS } = require('../config/chains')
+const { RpcClient } = require('../services/rpcClient')
+
+/**
+ * Mnemonic handed out with every mock sandbox, the anvil default
+ */
+const MOCK_MNEMONIC =
+  'test test test test test test test test test test test junk'
+
+/**
+ * Seconds between canned blocks
+ */
+const CANNED_BLOCK_TIME = 12
+
+/**
+ * Balance of accounts the canned node has not seen, 10000 ETH
+ */
+const CANNED_DEFAULT_BALANCE = 10000n * 10n ** 18n
+
+const toQuantity = (value) => `0x${BigInt(value).toString(16)}`
+
+const randomHash = () => `0x${crypto.randomBytes(32).toString('hex')}`
+
+const ZERO_HASH = `0x${'0'.repeat(64)}`
+
+/**
+ * Root hash of an empty trie, for the roots of empty blocks
+ */
+const EMPTY_TRIE_ROOT =
+  '0x56e81f171bcc55a6ff8345e692c0f86e5b48e01b996cadc001622fb5e363b421'
+
+/**
+ * Hash of an empty uncle list
+ */
+const EMPTY_UNCLES_HASH =
+  '0x1dcc4de8dec75d7aab85b567b6ccd41ad312451b948a7413f0a142fd40d49347'
+
+/**
+ * JSON-RPC responder with just enough state to look like a forked chain
+ *
+ * It answers chain, block, balance and code queries, supports the anvil
+ * balance and impersonation cheat methods and EVM snapshots, accepts raw
+ * transactions by mining an empty block, and rejects everything else with
+ * -32601. It does not
+ * execute transactions, so deploy commands that need an EVM require anvil.
+ */
+class CannedRpcNode {
+  /**
+   * @param {Object} options - Node options
+   * @param {number} options.chainId - Chain ID to report
+   * @param {number} [options.blockNumber=0] - Block number of the chain head
+   */
+  constructor({ chainId, blockNumber = 0 }) {
+    this.chainId = chainId
+    this.blockNumber = blockNumber
+    this.headTimestamp = Math.floor(Date.now() / 1000)
+    this.balances = new Map()
+    this.code = new Map([[MULTICALL3_ADDRESS.toLowerCase(), '0x6080604052']])
+    this.snapshots = new Map()
+    this.nextSnapshotId = 1
+  }
+
+  /**
+   * Answer a single or batch JSON-RPC request body
+   *
+   * @param {Object|Array} body - Parsed request body
+   * @returns {Object|Array} Response body
+   */
+  handle(body) {
+    return Array.isArray(body)
+      ? body.map((request) => this.handleRequest(request))
+      : this.handleRequest(body)
+  }
+
+  /**
+   * Answer one JSON-RPC request
+   */
+  handleRequest(request) {
+    const { id = null, method, params = [] } = request || {}
+    const handler = this.methods()[method]
+
+    if (!handler) {
+      return {
+        jsonrpc: '2.0',
+        id,
+        error: { code: -32601, message: `Method ${method} not supported` },
+      }
+    }
+
+    try {
+      return { jsonrpc: '2.0', id, result: handler(...params) }
+    } catch (error) {
+      return {
+        jsonrpc: '2.0',
+        id,
+        error: { code: -32602, message: error.message },
+      }
+    }
+  }
+
+  /**
+   * Supported methods, keyed by name
+   */
+  methods() {
+    return {
+      web3_clientVersion: () => 'buildbear-mock/canned',
+      net_version: () => String(this.chainId),
+      eth_chainId: () => toQuantity(this.chainId),
+      eth_blockNumber: () => toQuantity(this.blockNumber),
+      eth_gasPrice: () => toQuantity(1000000000),
+      eth_accounts: () => [],
+      eth_getTransactionCount: () => '0x0',
+      eth_getStorageAt: () => ZERO_HASH,
+      eth_getBlockByNumber: (tag) => this.getBlock(tag),
+      eth_getBalance: (address) =>
+        toQuantity(
+          this.balances.get(address.toLowerCase()) ?? CANNED_DEFAULT_BALANCE
+        ),
+      eth_getCode: (address) => this.code.get(address.toLowerCase()) || '0x',
+      eth_getTransactionByHash: () => null,
+      eth_getTransactionReceipt: () => null,
+      anvil_setBalance: (address, balance) => {
+        this.balances.set(address.toLowerCase(), BigInt(balance))
+        return null
+      },
+      anvil_impersonateAccount: () => null,
+      anvil_stopImpersonatingAccount: () => null,
+      evm_snapshot: () => this.snapshot(),
+      evm_revert: (snapshotId) => this.revert(snapshotId),
+      eth_sendRawTransaction: () => {
+        this.blockNumber += 1
+        this.headTimestamp += CANNED_BLOCK_TIME
+        return randomHash()
+      },
+    }
+  }
+
+  /**
+   * Save the node state
+   *
+   * @returns {string} Snapshot ID
+   */
+  snapshot() {
+    const snapshotId = toQuantity(this.nextSnapshotId++)
+
+    this.snapshots.set(snapshotId, {
+      blockNumber: this.blockNumber,
+      headTimestamp: this.headTimestamp,
+      balances: new Map(this.balances),
+      code: new Map(this.code),
+    })
+    return snapshotId
+  }
+
+  /**
+   * Restore a saved state, dropping it and every later snapshot like anvil
+   *
+   * @returns {boolean} False if the snapshot does not exist
+   */
+  revert(snapshotId) {
+    const id = toQuantity(snapshotId)
+    const state = this.snapshots.get(id)
+
+    if (!state) {
+      return false
+    }
+
+    for (const savedId of this.snapshots.keys()) {
+      if (BigInt(savedId) >= BigInt(id)) {
+        this.snapshots.delete(savedId)
+      }
+    }
+
+    Object.assign(this, state)
+    return true
+  }
+
+  /**
+   * Build a block without transactions for a tag or number
+   */
+  getBlock(tag) {
+    const tags = {
+      earliest: 0,
+      finalized: Math.max(this.blockNumber - 64, 0),
+      safe: Math.max(this.blockNumber - 32, 0),
+      latest: this.blockNumber,
+      pending: this.blockNumber,
+    }
+    const number = tag in tags ? tags[tag] : parseInt(tag, 16)
+
+    if (!Number.isInteger(number)) {
+      throw new Error(`invalid block tag ${JSON.stringify(tag)}`)
+    }
+
+    if (number > this.blockNumber) {
+      return null
+    }
+
+    const timestamp =
+      this.headTimestamp - (this.blockNumber - number) * CANNED_BLOCK_TIME
+
+    // Full header, so that anvil can fork from a canned node
+    return {
+      number: toQuantity(number),
+      hash: this.getBlockHash(number),
+      parentHash: number > 0 ? this.getBlockHash(number - 1) : ZERO_HASH,
+      sha3Uncles: EMPTY_UNCLES_HASH,
+      miner: `0x${'0'.repeat(40)}`,
+      stateRoot: EMPTY_TRIE_ROOT,
+      transactionsRoot: EMPTY_TRIE_ROOT,
+      receiptsRoot: EMPTY_TRIE_ROOT,
+      logsBloom: `0x${'0'.repeat(512)}`,
+      difficulty: '0x0',
+      totalDifficulty: '0x0',
+      gasLimit: toQuantity(30000000),
+      gasUsed: '0x0',
+      timestamp: toQuantity(Math.max(timestamp, 0)),
+      extraData: '0x',
+      mixHash: ZERO_HASH,
+      nonce: '0x0000000000000000',
+      baseFeePerGas: toQuantity(1000000000),
+      size: toQuantity(512),
+      transactions: [],
+      uncles: [],
+    }
+  }
+
+  /**
+   * Deterministic hash of a block number
+   */
+  getBlockHash(number) {
+    return `0x${crypto.createHash('sha256').update(`${this.chainId}:${number}`).digest('hex')}`
+  }
+
+  /**
+   * Canned nodes hold no resources
+   */
+  async stop() {}
+}
+
+/**
+ * Sandbox backed by a local anvil process
+ */
+class AnvilNode {
+  /**
+   * @param {Object} options - Node options
+   * @param {number} options.chainId - Chain ID of the sandbox
+   * @param {number} [options.blockNumber] - Block to fork at
+   * @param {string} [options.forkUrl] - Upstream RPC to fork from; without it anvil starts an empty chain
+   */
+  constructor({ chainId, blockNumber, forkUrl }) {
+    this.chainId = chainId
+    this.blockNumber = blockNumber
+    this.forkUrl = forkUrl
+    this.process = null
+    this.url = null
+  }
+
+  /**
+   * Check whether anvil is on the PATH
+   *
+   * @returns {boolean} True if anvil can be started
+   */
+  static isAvailable() {
+    const result = spawnSync('anvil', ['--version'], { stdio: 'ignore' })
+    return result.status === 0
+  }
+
+  /**
+   * Start anvil and wait until it answers
+   *
+   * @param {number} [timeout=30000] - Startup timeout in milliseconds
+   * @returns {Promise<string>} RPC URL of the node
+   */
+  async start(timeout = 30000) {
+    const port = await getFreePort()
+    const args = [
+      '--port',
+      String(port),
+      '--chain-id',
+      String(this.chainId),
+      '--mnemonic',
+      MOCK_MNEMONIC,
+      '--silent',
+    ]
+
+    if (this.forkUrl) {
+      args.push('--fork-url', this.forkUrl)
+      if (Number.isInteger(this.blockNumber)) {
+        args.push('--fork-block-number', String(this.blockNumber))
+      }
+    }
+
+    this.process = spawn('anvil', args, { stdio: 'ignore' })
+    this.url = `http://127.0.0.1:${port}`
+
+    const client = new RpcClient(this.url, { timeout: 1000 })
+    const deadline = Date.now() + timeout
+
+    while (Date.now() < deadline) {
+      if (this.process.exitCode !== null) {
+        throw new Error(`anvil exited with code ${this.process.exitCode}`)
+      }
+
+      try {
+        await client.call('eth_chainId')
+        return this.url
+      } catch (error) {
+        await new Promise((resolve) => setTimeout(resolve, 250))
+      }
+    }
+
+    await this.stop()
+    throw new Error(`anvil did not start within ${timeout}ms`)
+  }
+
+  /**
+   * Stop the anvil process
+   */
+  async stop() {
+    if (this.process && this.process.exitCode === null) {
+      const exited = new Promise((resolve) =>
+        this.process.once('exit', resolve)
+      )
+      this.process.kill()
+      await exited
+    }
+    this.process = null
+  }
+}
+
+/**
+ * Ask the OS for a free TCP port
+ */
+const getFreePort = () =>
+  new Promise((resolve, reject) => {
+    const server = net.createServer()
+    server.once('error', reject)
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    })
+  })
+
+module.exports = {
+  AnvilNode,
+  CannedRpcNode,
+  MOCK_MNEMONIC,
+}
@@ -0,0 +1,455 @@
+/**
+ * Mock BuildBear backend
+ * Answers the CI webhook, presigned uploads and sandbox RPC locally, so the
+ * action can run end to end without network access or a real API token
+ *
+ * Usage: NODE_ENV=development node src/mock/server.js
+ *
+ * Fork block lookups go to public RPCs unless the action is pointed at the
+ * canned upstreams of the mock with
+ * BUILDBEAR_UPSTREAM_RPC_BASE_URL=<mock URL>/upstream
+ */
+
+const crypto = require('crypto')
+const http = require('http')
+const { logger } = require('../services/logger')
+const { AnvilNode, CannedRpcNode, MOCK_MNEMONIC } = require('./sandboxNodes')
+
+/**
+ * Sandbox backends
+ */
+const MOCK_BACKENDS = {
+  AUTO: 'auto',
+  ANVIL: 'anvil',
+  CANNED: 'canned',
+}
+
+/**
+ * Environment variable prefix of upstream RPCs that anvil sandboxes fork from
+ */
+const MOCK_FORK_URL_ENV_PREFIX = 'BUILDBEAR_MOCK_FORK_URL_'
+
+/**
+ * Head block of the canned upstream chains
+ */
+const UPSTREAM_HEAD_BLOCK = 20000000
+
+class MockBuildBearServer {
+  /**
+   * @param {Object} [options] - Server options
+   * @param {number} [options.port=3000] - Port to listen on, 0 for any free port
+   * @param {string} [options.host='127.0.0.1'] - Host to listen on
+   * @param {string} [options.backend='auto'] - Sandbox backend: 'auto', 'anvil' or 'canned'
+   * @param {string} [options.token] - Accept only this API token; any token when unset
+   * @param {number} [options.rateLimit=0] - Answer this many webhook calls with 429 before serving any
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 3000
+    this.host = options.host || '127.0.0.1'
+    this.backend = options.backend || MOCK_BACKENDS.AUTO
+    this.token = options.token
+    this.rateLimit = options.rateLimit || 0
+    this.rateLimited = 0
+    this.server = null
+    this.sandboxes = new Map()
+    this.upstreams = new Map()
+    this.uploads = new Map()
+    this.replies = new Map()
+    this.requests = []
+
+    if (!Object.values(MOCK_BACKENDS).includes(this.backend)) {
+      throw new Error(
+        `Invalid mock backend "${this.backend}": expected one of ${Object.values(MOCK_BACKENDS).join(', ')}`
+      )
+    }
+  }
+
+  /**
+   * Base URL of the running server
+   */
+  get baseUrl() {
+    return `http://${this.host}:${this.port}`
+  }
+
+  /**
+   * Start listening
+   *
+   * @returns {Promise<string>} Base URL of the server
+   */
+  async start() {
+    if (this.backend === MOCK_BACKENDS.AUTO) {
+      this.backend = AnvilNode.isAvailable()
+        ? MOCK_BACKENDS.ANVIL
+        : MOCK_BACKENDS.CANNED
+    } else if (
+      this.backend === MOCK_BACKENDS.ANVIL &&
+      !AnvilNode.isAvailable()
+    ) {
+      throw new Error('The anvil backend needs anvil on the PATH')
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.route(req, res).catch((error) => {
+        logger.error(`Mock request ${req.method} ${req.url} failed`, error)
+        sendJson(res, 500, { message: error.message })
+      })
+    })
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(this.port, this.host, resolve)
+    })
+    this.port = this.server.address().port
+
+    logger.success(
+      `Mock BuildBear backend listening on ${this.baseUrl} (${this.backend} sandboxes)`
+    )
+    logger.info(
+      `Set BUILDBEAR_UPSTREAM_RPC_BASE_URL=${this.baseUrl}/upstream to keep fork block lookups offline`
+    )
+    return this.baseUrl
+  }
+
+  /**
+   * Stop all sandboxes and close the server
+   */
+  async stop() {
+    await Promise.all(
+      [...this.sandboxes.values()].map(({ node }) => node.stop())
+    )
+    this.sandboxes.clear()
+
+    if (this.server) {
+      this.server.closeAllConnections()
+      await new Promise((resolve) => this.server.close(resolve))
+      this.server = null
+    }
+  }
+
+  /**
+   * Dispatch a request to its handler
+   */
+  async route(req, res) {
+    const { pathname } = new URL(req.url, this.baseUrl)
+    const [, resource, id] = pathname.split('/')
+
+    if (req.method === 'POST' && pathname.startsWith('/ci/webhook/')) {
+      const token = decodeURIComponent(pathname.slice('/ci/webhook/'.length))
+      return this.handleWebhook(
+        token,
+        await readJson(req),
+        res,
+        req.headers['idempotency-key']
+      )
+    }
+
+    if (req.method === 'PUT' && resource === 'uploads' && id) {
+      return this.handleUpload(id, await readBody(req), res)
+    }
+
+    if (req.method === 'POST' && resource === 'rpc' && id) {
+      const sandbox = this.sandboxes.get(id)
+      if (!sandbox || !(sandbox.node instanceof CannedRpcNode)) {
+        return sendJson(res, 404, { message: `Sandbox ${id} not found` })
+      }
+      return sendJson(res, 200, sandbox.node.handle(await readJson(req)))
+    }
+
+    if (req.method === 'POST' && resource === 'upstream' && id) {
+      return sendJson(
+        res,
+        200,
+        this.getUpstream(Number(id)).handle(await readJson(req))
+      )
+    }
+
+    if (req.method === 'GET' && pathname === '/__mock/requests') {
+      return sendJson(res, 200, this.requests)
+    }
+
+    return sendJson(res, 404, {
+      message: `No route for ${req.method} ${pathname}`,
+    })
+  }
+
+  /**
+   * Handle a CI webhook call
+   *
+   * Calls with an Idempotency-Key header that was already seen for the token
+   * get the original reply again, marked with Idempotent-Replayed.
+   */
+  async handleWebhook(token, body, res, idempotencyKey) {
+    if (!token || (this.token && token !== this.token)) {
+      return sendJson(res, 401, { message: 'Invalid API token' })
+    }
+
+    if (this.rateLimited < this.rateLimit) {
+      this.rateLimited++
+      return sendJson(
+        res,
+        429,
+        { message: 'Too many requests' },
+        { 'Retry-After': '1' }
+      )
+    }
+
+    if (body === undefined) {
+      return sendJson(res, 400, { message: 'Request body must be JSON' })
+    }
+
+    // Status notifications carry a status but no task
+    const task = body.task || (body.status ? 'notification' : undefined)
+    const replyKey = idempotencyKey ? `${token}:${idempotencyKey}` : null
+    const replayed = !!replyKey && this.replies.has(replyKey)
+
+    this.requests.push({
+      task,
+      body,
+      idempotencyKey,
+      replayed,
+      receivedAt: new Date().toISOString(),
+    })
+    logger.info(
+      `Mock webhook: ${task || 'unknown task'}${replayed ? ' (replayed)' : ''}`
+    )
+
+    if (replayed) {
+      const { status, data } = await this.replies.get(replyKey)
+      return sendJson(res, status, data, { 'Idempotent-Replayed': 'true' })
+    }
+
+    const pending = this.runTask(token, task, body)
+    if (replyKey) {
+      // Failed tasks are forgotten, so that a retry runs them again
+      this.replies.set(replyKey, pending)
+      pending.catch(() => this.replies.delete(replyKey))
+    }
+
+    const { status, data } = await pending
+    return sendJson(res, status, data)
+  }
+
+  /**
+   * Run a webhook task
+   *
+   * @returns {Promise<{status: number, data: Object}>} Reply
+   */
+  async runTask(token, task, body) {
+    const payload = body.payload || {}
+
+    switch (task) {
+      case 'create_node':
+        if (!Number.isInteger(payload.fork?.chainId)) {
+          return reply(400, {
+            message: 'fork.chainId must be an integer',
+          })
+        }
+        return reply(200, {
+          success: true,
+          sandbox: await this.createSandbox(payload.fork, token),
+        })
+
+      case 'get_node':
+      case 'delete_node': {
+        const sandbox = this.sandboxes.get(payload.sandboxId)
+
+        if (!sandbox) {
+          return reply(404, {
+            message: `Sandbox ${payload.sandboxId} not found`,
+          })
+        }
+
+        if (sandbox.token !== token) {
+          return reply(403, {
+            message: `Sandbox ${payload.sandboxId} is not owned by this API token`,
+          })
+        }
+
+        if (task === 'get_node') {
+          return reply(200, { success: true, sandbox: sandbox.details })
+        }
+
+        await this.deleteSandbox(payload.sandboxId)
+        return reply(200, { success: true })
+      }
+
+      case 'init_simulate_test': {
+        const key = `uploads-${crypto.randomUUID()}`
+        this.uploads.set(key, null)
+        return reply(200, {
+          url: `${this.baseUrl}/uploads/${key}`,
+          key,
+          deploymentId: crypto.randomUUID(),
+        })
+      }
+
+      case 'simulate_test':
+        if (!this.uploads.get(payload.uploadKey)) {
+          return reply(400, {
+            message: `Nothing was uploaded for key ${payload.uploadKey}`,
+          })
+        }
+        return reply(200, {
+          simulationId: `simulation-${crypto.randomUUID()}`,
+          message: 'Test simulation started',
+        })
+
+      case 'auto_verification':
+        return reply(200, {
+          success: true,
+          message: `Received ${Object.keys(payload.artifacts || {}).length} contract artifact(s)`,
+        })
+
+      case 'notification':
+        return reply(200, { success: true })
+
+      default:
+        return reply(400, { message: `Unknown task "${body.task}"` })
+    }
+  }
+
+  /**
+   * Accept a presigned upload
+   */
+  handleUpload(key, content, res) {
+    if (!this.uploads.has(key)) {
+      return sendJson(res, 404, { message: `Unknown upload key ${key}` })
+    }
+
+    this.uploads.set(key, { size: content.length })
+    res.writeHead(200)
+    res.end()
+  }
+
+  /**
+   * Create a sandbox with the configured backend, owned by an API token
+   */
+  async createSandbox({ chainId, blockNumber }, token) {
+    const sandboxId = `mock-${chainId}-${crypto.randomBytes(4).toString('hex')}`
+    let node
+    let rpcUrl
+
+    if (this.backend === MOCK_BACKENDS.ANVIL) {
+      // Fork the canned upstream, so the sandbox has the requested chain ID,
+      // fork block and well-known contracts, unless the developer named a
+      // real upstream RPC
+      const forkUrl =
+        process.env[`${MOCK_FORK_URL_ENV_PREFIX}${chainId}`] ||
+        `${this.baseUrl}/upstream/${chainId}`
+      node = new AnvilNode({ chainId, blockNumber, forkUrl })
+      rpcUrl = await node.start()
+    } else {
+      node = new CannedRpcNode({
+        chainId,
+        blockNumber: blockNumber ?? UPSTREAM_HEAD_BLOCK,
+      })
+      rpcUrl = `${this.baseUrl}/rpc/${sandboxId}`
+    }
+
+    const details = {
+      sandboxId,
+      rpcUrl,
+      mnemonic: MOCK_MNEMONIC,
+      chainId,
+      forkBlock:
+        node instanceof CannedRpcNode
+          ? node.blockNumber
+          : (blockNumber ?? null),
+    }
+
+    this.sandboxes.set(sandboxId, { node, token, details })
+    logger.success(
+      `Mock sandbox ${sandboxId} for chainId ${chainId}: ${rpcUrl}`
+    )
+
+    return details
+  }
+
+  /**
+   * Stop and forget a sandbox
+   *
+   * @returns {Promise<boolean>} False if the sandbox does not exist
+   */
+  async deleteSandbox(sandboxId) {
+    const sandbox = this.sandboxes.get(sandboxId)
+
+    if (!sandbox) {
+      return false
+    }
+
+    await sandbox.node.stop()
+    this.sandboxes.delete(sandboxId)
+    return true
+  }
+
+  /**
+   * Get the canned upstream node of a chain
+   */
+  getUpstream(chainId) {
+    if (!this.upstreams.has(chainId)) {
+      this.upstreams.set(
+        chainId,
+        new CannedRpcNode({ chainId, blockNumber: UPSTREAM_HEAD_BLOCK })
+      )
+    }
+    return this.upstreams.get(chainId)
+  }
+}
+
+/**
+ * Read a request body
+ */
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+
+/**
+ * Read a JSON request body, undefined if it is not JSON
+ */
+const readJson = async (req) => {
+  try {
+    return JSON.parse((await readBody(req)).toString('utf8'))
+  } catch (error) {
+    return undefined
+  }
+}
+
+/**
+ * Build a webhook reply
+ */
+const reply = (status, data) => ({ status, data })
+
+/**
+ * Send a JSON response
+ */
+const sendJson = (res, status, data, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers })
+  res.end(JSON.stringify(data))
+}
+
+if (require.main === module) {
+  const server = new MockBuildBearServer({
+    port: parseInt(process.env.BUILDBEAR_MOCK_PORT, 10) || 3000,
+    backend: process.env.BUILDBEAR_MOCK_BACKEND,
+    token: process.env.BUILDBEAR_MOCK_TOKEN,
+    rateLimit: parseInt(process.env.BUILDBEAR_MOCK_RATE_LIMIT, 10) || 0,
+  })
+
+  const shutdown = () => server.stop().then(() => process.exit(0))
+  process.on('SIGINT', shutdown)
+  process.on('SIGTERM', shutdown)
+
+  server.start().catch((error) => {
+    logger.error('Failed to start the mock BuildBear backend', error)
+    process.exit(1)
+  })
+}
+
+module.exports = {
+  MockBuildBearServer,
+  MOCK_BACKENDS,
+}
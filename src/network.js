@@ -1,62 +1,137 @@
+const { CHAINS, getChainById, resolveChainName } = require('./config/chains')
+const { getConfig } = require('./config')
+const { logger } = require('./services/logger')
+const {
+  RpcClient,
+  parseQuantity,
+  redactRpcUrl,
+} = require('./services/rpcClient')
+
+// Reorg depth for chains without one in the chain registry
 const FALLBACK_MAX_REORG = 200
 
-const RPC_URL = {
-  1: {
-    index: 0,
-    urls: [
-      'https://lb.drpc.org/ogrpc?network=ethereum&dkey=AgsHzj-05Uovs5mK4tt6_lQ383cAPHUR8LSXbrRhIxXF',
-    ],
-  },
-  56: {
-    index: 0,
-    urls: [
-      'https://lb.drpc.org/ogrpc?network=bsc&dkey=AgsHzj-05Uovs5mK4tt6_lQ383cAPHUR8LSXbrRhIxXF',
-    ],
-  },
-  137: {
-    index: 0,
-    urls: [
-      'https://lb.drpc.org/ogrpc?network=polygon&dkey=AgsHzj-05Uovs5mK4tt6_lQ383cAPHUR8LSXbrRhIxXF',
-    ],
-  },
-  80002: {
-    index: 0,
-    urls: [
-      'https://lb.drpc.org/ogrpc?network=polygon-amoy&dkey=AgsHzj-05Uovs5mK4tt6_lQ383cAPHUR8LSXbrRhIxXF',
-    ],
-  },
-
-  10: {
-    index: 0,
-    urls: [
-      'https://lb.drpc.org/ogrpc?network=optimism&dkey=AgsHzj-05Uovs5mK4tt6_lQ383cAPHUR8LSXbrRhIxXF',
-    ],
-  },
-  42161: { index: 0, urls: ['https://rpc.ankr.com/arbitrum'] },
-  421614: { index: 0, urls: ['https://rpc.ankr.com/arbitrum_sepolia'] },
-  11155111: {
-    index: 0,
-    urls: [
-      'https://lb.drpc.org/ogrpc?network=sepolia&dkey=AgsHzj-05Uovs5mK4tt6_lQ383cAPHUR8LSXbrRhIxXF',
-    ],
-  },
-  43114: { index: 0, urls: ['https://rpc.ankr.com/avalanche'] },
-  2222: { index: 0, urls: ['https://evm.kava.io'] },
-  1101: { index: 0, urls: ['https://zkevm-rpc.com'] },
-  59144: { index: 0, urls: ['https://rpc.linea.build'] },
-  59141: { index: 0, urls: ['https://rpc.sepolia.linea.build'] },
-  100: { index: 0, urls: ['https://rpc.ankr.com/gnosis'] },
-  97: {
-    index: 0,
-    urls: ['https://rpc.ankr.com/bsc_testnet_chapel'],
-  },
-  165: { index: 0, urls: ['https://testnet.omni.network'] },
-  17000: {
-    index: 0,
-    urls: [
-      'https://lb.drpc.org/ogrpc?network=holesky&dkey=AgsHzj-05Uovs5mK4tt6_lQ383cAPHUR8LSXbrRhIxXF',
-    ],
-  },
+// Prefix of the environment variables holding user RPC URLs for a chain
+const UPSTREAM_RPC_ENV_PREFIX = 'BUILDBEAR_UPSTREAM_RPC_'
+
+// Environment variable holding a base URL that replaces the public RPC URLs
+// of every chain with <base URL>/<chainId>, e.g. the canned upstreams of the
+// mock backend
+const UPSTREAM_RPC_BASE_URL_ENV = 'BUILDBEAR_UPSTREAM_RPC_BASE_URL'
+
+// Round-robin state over the upstream RPC URLs of each registered chain
+const RPC_URL = Object.fromEntries(
+  CHAINS.map((chain) => [chain.chainId, { index: 0, urls: chain.rpcUrls }])
+)
+
+// User RPC URLs from the upstream-rpc-urls input, keyed by chain ID
+let upstreamRpcUrls = {}
+
+/**
+ * Check that a user supplied RPC URL is an http(s) URL
+ */
+function validateRpcUrl(url, source) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch (error) {
+    throw new Error(`Invalid RPC URL in ${source}: ${redactRpcUrl(url)}`)
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(
+      `Invalid RPC URL in ${source}: ${redactRpcUrl(url)} must use http or https`
+    )
+  }
+
+  return url
+}
+
+/**
+ * Get the upstream RPC URL of a chain under BUILDBEAR_UPSTREAM_RPC_BASE_URL
+ *
+ * @param {number} chainId - Chain ID
+ * @returns {string|null} RPC URL, null if the variable is unset
+ */
+function getBaseUpstreamRpcUrl(chainId) {
+  const baseUrl = (process.env[UPSTREAM_RPC_BASE_URL_ENV] || '').trim()
+  if (!baseUrl) {
+    return null
+  }
+
+  return validateRpcUrl(
+    `${baseUrl.replace(/\/+$/, '')}/${chainId}`,
+    UPSTREAM_RPC_BASE_URL_ENV
+  )
+}
+
+/**
+ * Parse the upstream-rpc-urls input
+ *
+ * The input is a JSON object keyed by chain ID or chain name, whose values
+ * are a URL or a list of URLs, e.g. {"1": "https://...", "base": ["https://..."]}.
+ *
+ * @param {string|Object} [input] - Raw input or parsed object from the configuration file
+ * @returns {Object} Lists of RPC URLs keyed by chain ID
+ */
+function parseUpstreamRpcUrls(input) {
+  if (!input) {
+    return {}
+  }
+
+  let entries = input
+  if (typeof input === 'string') {
+    try {
+      entries = JSON.parse(input)
+    } catch (error) {
+      throw new Error(`Invalid upstream-rpc-urls: ${error.message}`)
+    }
+  }
+
+  if (
+    typeof entries !== 'object' ||
+    entries === null ||
+    Array.isArray(entries)
+  ) {
+    throw new Error(
+      'Invalid upstream-rpc-urls: expected an object keyed by chain ID or name'
+    )
+  }
+
+  const result = {}
+
+  for (const [key, value] of Object.entries(entries)) {
+    let chainId
+    try {
+      chainId = /^\d+$/.test(key.trim())
+        ? Number(key.trim())
+        : resolveChainName(key).chainId
+    } catch (error) {
+      throw new Error(`Invalid upstream-rpc-urls: ${error.message}`)
+    }
+    const urls = Array.isArray(value) ? value : [value]
+
+    for (const url of urls) {
+      if (typeof url !== 'string') {
+        throw new Error(
+          `Invalid upstream-rpc-urls: URLs for "${key}" must be strings`
+        )
+      }
+      validateRpcUrl(url, 'upstream-rpc-urls')
+    }
+
+    result[chainId] = [...(result[chainId] || []), ...urls]
+  }
+
+  return result
+}
+
+/**
+ * Set the user RPC URLs from the upstream-rpc-urls input
+ *
+ * @param {Object} urls - Lists of RPC URLs keyed by chain ID
+ */
+function setUpstreamRpcUrls(urls) {
+  upstreamRpcUrls = urls || {}
 }
 
 function getRpc(chainId) {
@@ -67,38 +142,376 @@ function getRpc(chainId) {
   return url
 }
 
-async function getLatestBlockNumber(chainId) {
-  const url = getRpc(chainId)
+/**
+ * Get every upstream RPC URL for a chain, in the order they are tried
+ *
+ * URLs from the upstream-rpc-urls input come first, then the comma separated
+ * URLs of BUILDBEAR_UPSTREAM_RPC_<chainId>, then the public URLs of the chain
+ * registry, starting at the next one in round-robin order. When
+ * BUILDBEAR_UPSTREAM_RPC_BASE_URL is set, <base URL>/<chainId> takes the place
+ * of the public URLs, so no lookup leaves the configured host.
+ *
+ * @param {number} chainId - Chain ID
+ * @returns {Array<string>} RPC URLs
+ */
+function getRpcUrls(chainId) {
+  const envName = `${UPSTREAM_RPC_ENV_PREFIX}${chainId}`
+  const envUrls = (process.env[envName] || '')
+    .split(',')
+    .map((url) => url.trim())
+    .filter(Boolean)
+    .map((url) => validateRpcUrl(url, envName))
 
-  const requestData = {
-    jsonrpc: '2.0',
-    id: 1,
-    method: 'eth_blockNumber',
-    params: [],
+  const registryUrls = []
+  const baseUrl = getBaseUpstreamRpcUrl(chainId)
+  if (baseUrl) {
+    registryUrls.push(baseUrl)
+  } else if (RPC_URL[chainId]) {
+    const first = getRpc(chainId)
+    const { urls } = RPC_URL[chainId]
+    const start = urls.indexOf(first)
+    registryUrls.push(...urls.slice(start), ...urls.slice(0, start))
   }
 
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestData),
-    })
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`)
+  return [
+    ...new Set([
+      ...(upstreamRpcUrls[chainId] || []),
+      ...envUrls,
+      ...registryUrls,
+    ]),
+  ]
+}
+
+/**
+ * Run an upstream RPC lookup for a chain, failing over across all of its
+ * configured URLs on timeouts, HTTP and RPC errors and malformed results
+ *
+ * @param {number} chainId - Chain ID
+ * @param {string} description - What is looked up, for error messages
+ * @param {Function} fn - Lookup to run with an RpcClient for each URL
+ * @returns {Promise<*>} Result of the first successful lookup
+ */
+async function withRpcFailover(chainId, description, fn) {
+  const urls = getRpcUrls(chainId)
+
+  if (urls.length === 0) {
+    throw new Error(
+      `No upstream RPC URL configured for chainId ${chainId}. Set ${UPSTREAM_RPC_ENV_PREFIX}${chainId} or the upstream-rpc-urls input.`
+    )
+  }
+
+  const { timeout } = getConfig().rpc
+  const failures = []
+
+  for (const url of urls) {
+    try {
+      return await fn(new RpcClient(url, { timeout }))
+    } catch (error) {
+      const reason = error.message
+      logger.warn(
+        `Lookup of the ${description} for chainId ${chainId} failed on ${redactRpcUrl(url)}: ${reason}`
+      )
+      failures.push(`${redactRpcUrl(url)}: ${reason}`)
     }
+  }
 
-    const data = await response.json()
-    return parseInt(data.result, 16) - FALLBACK_MAX_REORG // Convert hex to decimal
-  } catch (error) {
-    console.error('Error fetching the latest block number:', error)
-    throw error
+  throw new Error(
+    `Could not fetch the ${description} for chainId ${chainId} from ${urls.length} RPC URL(s): ${failures.join('; ')}`
+  )
+}
+
+/**
+ * Check whether any upstream RPC URL is known for a chain
+ *
+ * @param {number} chainId - Chain ID
+ * @returns {boolean} True if the latest block of the chain can be looked up
+ */
+function hasUpstreamRpc(chainId) {
+  return (
+    !!RPC_URL[chainId] ||
+    !!(process.env[UPSTREAM_RPC_BASE_URL_ENV] || '').trim() ||
+    !!upstreamRpcUrls[chainId]?.length ||
+    !!(process.env[`${UPSTREAM_RPC_ENV_PREFIX}${chainId}`] || '').trim()
+  )
+}
+
+/**
+ * Parse the block selector of a network entry
+ *
+ * Accepts the finality tags 'finalized' and 'safe', 'latest', and
+ * 'latest-N' for N blocks behind the latest one.
+ *
+ * @param {string} block - Block selector
+ * @returns {{tag: string, depth: number}} Block tag and depth below it
+ * @throws {Error} If the selector is invalid
+ */
+function parseBlockSelector(block) {
+  const value = typeof block === 'string' ? block.trim().toLowerCase() : ''
+
+  if (value === 'finalized' || value === 'safe' || value === 'latest') {
+    return { tag: value, depth: 0 }
+  }
+
+  const match = value.match(/^latest-(\d+)$/)
+  if (match) {
+    return { tag: 'latest', depth: Number(match[1]) }
+  }
+
+  throw new Error(
+    `Invalid block "${block}": expected 'finalized', 'safe', 'latest' or 'latest-N'`
+  )
+}
+
+/**
+ * Parse the blockTimestamp of a network entry
+ *
+ * @param {number|string} value - Unix timestamp in seconds or an ISO 8601 date
+ * @returns {number} Unix timestamp in seconds
+ * @throws {Error} If the value is not a valid past time
+ */
+function parseBlockTimestamp(value) {
+  let timestamp
+  if (typeof value === 'number') {
+    timestamp = value
+  } else if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+    timestamp = Number(value.trim())
+  } else if (typeof value === 'string') {
+    timestamp = Math.floor(Date.parse(value) / 1000)
   }
+
+  if (!Number.isInteger(timestamp) || timestamp < 0) {
+    throw new Error(
+      `Invalid blockTimestamp ${JSON.stringify(value)}: expected Unix seconds or an ISO 8601 date`
+    )
+  }
+
+  if (timestamp > Date.now() / 1000) {
+    throw new Error(
+      `Invalid blockTimestamp ${JSON.stringify(value)}: ${new Date(timestamp * 1000).toISOString()} is in the future`
+    )
+  }
+
+  return timestamp
+}
+
+/**
+ * Get the timestamp of a block
+ */
+async function getBlockTimestamp(chainId, blockNumber) {
+  return withRpcFailover(chainId, `block ${blockNumber}`, async (client) => {
+    const result = await client.call('eth_getBlockByNumber', [
+      `0x${blockNumber.toString(16)}`,
+      false,
+    ])
+
+    if (!result) {
+      throw new Error(`Block ${blockNumber} not found`)
+    }
+
+    return parseQuantity(result.timestamp)
+  })
+}
+
+/**
+ * Find the last block mined at or before a timestamp
+ *
+ * Binary searches block timestamps between genesis and the latest block, so
+ * it takes about log2(latest block) lookups.
+ *
+ * @param {number} chainId - Chain ID
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {Promise<number>} Block number
+ */
+async function findBlockAtTimestamp(chainId, timestamp) {
+  let high = await withRpcFailover(
+    chainId,
+    'latest block number',
+    async (client) =>
+      parseQuantity(await client.call('eth_blockNumber'), 'eth_blockNumber')
+  )
+
+  if ((await getBlockTimestamp(chainId, high)) <= timestamp) {
+    return high
+  }
+
+  let low = 0
+  if ((await getBlockTimestamp(chainId, low)) > timestamp) {
+    throw new Error(
+      `blockTimestamp ${new Date(timestamp * 1000).toISOString()} is before the first block of chainId ${chainId}`
+    )
+  }
+
+  // Invariant: block `low` is at or before the timestamp, block `high` after it
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2)
+
+    if ((await getBlockTimestamp(chainId, middle)) <= timestamp) {
+      low = middle
+    } else {
+      high = middle
+    }
+  }
+
+  return low
+}
+
+/**
+ * Transaction positions accepted by forkAtTransaction
+ */
+const TRANSACTION_POSITIONS = ['before', 'after']
+
+/**
+ * Validate the forkAtTransaction and position of a network entry
+ *
+ * @param {string} hash - Transaction hash
+ * @param {string} [position='before'] - Fork before or after the transaction
+ * @returns {{hash: string, position: string}} Normalized transaction selection
+ * @throws {Error} If the hash or position is invalid
+ */
+function parseForkTransaction(hash, position = 'before') {
+  if (typeof hash !== 'string' || !/^0x[0-9a-f]{64}$/i.test(hash)) {
+    throw new Error(
+      `Invalid forkAtTransaction ${JSON.stringify(hash)}: expected a 0x-prefixed 32-byte transaction hash`
+    )
+  }
+
+  if (!TRANSACTION_POSITIONS.includes(position)) {
+    throw new Error(
+      `Invalid position ${JSON.stringify(position)}: expected 'before' or 'after'`
+    )
+  }
+
+  return { hash: hash.toLowerCase(), position }
+}
+
+/**
+ * Find the fork block just before or just after a transaction
+ *
+ * A fork holds the state at the end of a block, so 'before' forks at the
+ * block preceding the transaction's block and 'after' at the transaction's
+ * block. Other transactions of the same block are included or excluded with it.
+ *
+ * @param {number} chainId - Chain ID
+ * @param {string} hash - Transaction hash
+ * @param {string} position - 'before' or 'after'
+ * @returns {Promise<number>} Block number
+ */
+async function findBlockAtTransaction(chainId, hash, position) {
+  const transactionBlock = await withRpcFailover(
+    chainId,
+    `transaction ${hash}`,
+    async (client) => {
+      const result = await client.call('eth_getTransactionByHash', [hash])
+
+      if (!result) {
+        throw new Error(`Transaction ${hash} not found`)
+      }
+
+      if (result.blockNumber === null || result.blockNumber === undefined) {
+        throw new Error(`Transaction ${hash} is not mined yet`)
+      }
+
+      return parseQuantity(result.blockNumber)
+    }
+  )
+
+  return position === 'before'
+    ? Math.max(0, transactionBlock - 1)
+    : transactionBlock
+}
+
+/**
+ * Get the default reorg safety depth of a chain
+ *
+ * @param {number} chainId - Chain ID
+ * @returns {number} Blocks to stay behind the latest block
+ */
+function getReorgDepth(chainId) {
+  return getChainById(chainId)?.reorgDepth ?? FALLBACK_MAX_REORG
+}
+
+/**
+ * Resolve the block a chain is forked at
+ *
+ * Without a block selector or timestamp the fork is the latest block minus
+ * the chain's reorg depth from the chain registry.
+ *
+ * @param {number} chainId - Chain ID
+ * @param {Object} [options] - Block selection
+ * @param {string} [options.block] - Block selector ('finalized', 'safe', 'latest' or 'latest-N')
+ * @param {number|string} [options.blockTimestamp] - Fork at the last block at or before this time
+ * @param {string} [options.forkAtTransaction] - Fork around this transaction hash
+ * @param {string} [options.position='before'] - Fork 'before' or 'after' the transaction
+ * @returns {Promise<number>} Fork block number
+ */
+async function resolveForkBlock(chainId, options = {}) {
+  if (options.forkAtTransaction !== undefined) {
+    const { hash, position } = parseForkTransaction(
+      options.forkAtTransaction,
+      options.position
+    )
+    const blockNumber = await findBlockAtTransaction(chainId, hash, position)
+
+    logger.info(
+      `Resolved forkAtTransaction ${hash} (${position}) to block ${blockNumber} on chainId ${chainId}`
+    )
+    return blockNumber
+  }
+
+  if (options.blockTimestamp !== undefined) {
+    const timestamp = parseBlockTimestamp(options.blockTimestamp)
+    const blockNumber = await findBlockAtTimestamp(chainId, timestamp)
+
+    logger.info(
+      `Resolved blockTimestamp ${new Date(timestamp * 1000).toISOString()} to block ${blockNumber} on chainId ${chainId}`
+    )
+    return blockNumber
+  }
+
+  const { tag, depth } = options.block
+    ? parseBlockSelector(options.block)
+    : { tag: 'latest', depth: getReorgDepth(chainId) }
+
+  if (tag === 'latest') {
+    const latest = await withRpcFailover(
+      chainId,
+      'latest block number',
+      async (client) =>
+        parseQuantity(await client.call('eth_blockNumber'), 'eth_blockNumber')
+    )
+    return Math.max(0, latest - depth)
+  }
+
+  return withRpcFailover(chainId, `${tag} block`, async (client) => {
+    const result = await client.call('eth_getBlockByNumber', [tag, false])
+
+    if (!result) {
+      throw new Error(`No ${tag} block returned`)
+    }
+
+    return parseQuantity(result.number)
+  })
+}
+
+/**
+ * Get the latest block number of a chain minus its reorg depth
+ *
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<number>} Fork block number
+ */
+async function getLatestBlockNumber(chainId) {
+  return resolveForkBlock(chainId)
 }
 
 // Export the function correctly
 module.exports = {
   getLatestBlockNumber,
+  resolveForkBlock,
+  parseBlockSelector,
+  parseBlockTimestamp,
+  parseForkTransaction,
+  getRpcUrls,
+  hasUpstreamRpc,
+  parseUpstreamRpcUrls,
+  setUpstreamRpcUrls,
 }
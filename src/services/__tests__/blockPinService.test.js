@@ -0,0 +1,95 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+jest.mock('../../network', () => ({
+  ...jest.requireActual('../../network'),
+  resolveForkBlock: jest.fn(),
+}))
+
+const { resolveForkBlock } = require('../../network')
+const { blockPinService } = require('../blockPinService')
+const { buildBearApi } = require('../buildBearApi')
+const { deploymentService } = require('../deploymentService')
+
+describe('blockPinService', () => {
+  let dir
+  let pinFile
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'block-pins-'))
+    pinFile = path.join(dir, 'pins.json')
+    jest
+      .spyOn(blockPinService, 'getRunKey')
+      .mockReturnValue({ commitHash: 'abc', runId: '42' })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('pins networks without a blockNumber from the pin file of the same run', async () => {
+    await blockPinService.savePins(pinFile, [
+      { chainId: 1, forkBlock: 100, status: 'success' },
+      { chainId: 10, status: 'failed' },
+    ])
+
+    const pins = await blockPinService.loadPins({ pinFile })
+    const networks = blockPinService.applyPins(
+      [{ chainId: 1 }, { chainId: 10 }, { chainId: 1, blockNumber: 5 }],
+      pins
+    )
+
+    expect(networks).toEqual([
+      { chainId: 1, blockNumber: 100, pinnedFrom: pinFile },
+      { chainId: 10 },
+      { chainId: 1, blockNumber: 5 },
+    ])
+  })
+
+  it('ignores a pin file written for another run', async () => {
+    await blockPinService.savePins(pinFile, [{ chainId: 1, forkBlock: 100 }])
+    blockPinService.getRunKey.mockReturnValue({
+      commitHash: 'abc',
+      runId: '43',
+    })
+
+    const pins = await blockPinService.loadPins({ pinFile })
+
+    expect(pins.size).toBe(0)
+  })
+
+  it('pins the resolved block of a chain that fails after resolving it', async () => {
+    resolveForkBlock.mockResolvedValue(19999936)
+    jest
+      .spyOn(buildBearApi, 'createSandbox')
+      .mockRejectedValue(new Error('Failed to create sandbox for chainId 1'))
+    jest
+      .spyOn(deploymentService, 'sendDeploymentStartedNotification')
+      .mockResolvedValue()
+    jest
+      .spyOn(deploymentService, 'sendDeploymentCompletedNotification')
+      .mockResolvedValue()
+
+    const deployments = await deploymentService.executeDeploymentPipeline({
+      networks: [{ chainId: 1, block: 'finalized' }],
+      deployCommand: 'true',
+      workingDirectory: dir,
+    })
+
+    expect(deployments).toEqual([
+      {
+        chainId: 1,
+        forkBlock: 19999936,
+        status: 'failed',
+        error: 'Failed to create sandbox for chainId 1',
+      },
+    ])
+
+    await blockPinService.savePins(pinFile, deployments)
+    const pins = await blockPinService.loadPins({ pinFile })
+
+    expect(pins.get(1)).toEqual({ blockNumber: 19999936, source: pinFile })
+  })
+})
@@ -0,0 +1,83 @@
+const { parseFailurePolicy } = require('../../config/failurePolicy')
+const { deploymentService } = require('../deploymentService')
+
+describe('failure policy in the deployment pipeline', () => {
+  const networks = [{ chainId: 1 }, { chainId: 137 }, { chainId: 8453 }]
+  let deployToNetwork
+
+  beforeEach(() => {
+    jest
+      .spyOn(deploymentService, 'sendDeploymentStartedNotification')
+      .mockResolvedValue()
+    jest
+      .spyOn(deploymentService, 'sendDeploymentCompletedNotification')
+      .mockResolvedValue()
+    deployToNetwork = jest
+      .spyOn(deploymentService, 'deployToNetwork')
+      .mockImplementation(async (network) => {
+        if (network.chainId === 137) {
+          throw new Error('Deployment failed with exit code 1')
+        }
+        return { chainId: network.chainId, status: 'success' }
+      })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  const run = (policy) =>
+    deploymentService.executeDeploymentPipeline({
+      networks,
+      deployCommand: 'true',
+      workingDirectory: '.',
+      failurePolicy: parseFailurePolicy(policy),
+    })
+
+  it('skips the remaining chains after a failure under fail-fast', async () => {
+    const deployments = await run('fail-fast')
+
+    expect(deployments.map(({ chainId, status }) => [chainId, status])).toEqual(
+      [
+        [1, 'success'],
+        [137, 'failed'],
+        [8453, 'skipped'],
+      ]
+    )
+    expect(deployToNetwork).toHaveBeenCalledTimes(2)
+  })
+
+  it('deploys every chain under continue', async () => {
+    const deployments = await run('continue')
+
+    expect(deployments.map(({ status }) => status)).toEqual([
+      'success',
+      'failed',
+      'success',
+    ])
+    expect(
+      deploymentService.getBlockingFailures(
+        deployments,
+        parseFailurePolicy('continue')
+      )
+    ).toEqual([
+      {
+        chainId: 137,
+        status: 'failed',
+        error: 'Deployment failed with exit code 1',
+      },
+    ])
+  })
+
+  it('does not count failures of allowed chains as blocking', async () => {
+    const policy = 'allow-failures: ["polygon"]'
+    const deployments = await run(policy)
+
+    expect(
+      deploymentService.getBlockingFailures(
+        deployments,
+        parseFailurePolicy(policy)
+      )
+    ).toEqual([])
+  })
+})
@@ -0,0 +1,55 @@
+process.env.GITHUB_REPOSITORY = 'owner/repo'
+
+const { manifestService } = require('../manifestService')
+
+describe('manifestService.buildManifest', () => {
+  const deployments = [
+    {
+      chainId: 8453,
+      status: 'failed',
+      forkBlock: 300,
+      error: 'Deployment failed with exit code 1',
+    },
+    {
+      chainId: 1,
+      status: 'success',
+      sandboxId: 'sandbox-1',
+      rpcUrl: 'https://rpc.buildbear.io/sandbox-1',
+      forkBlock: 100,
+      deployments: {
+        contracts: {
+          Vault: { address: '0x2', transactionHash: '0xb' },
+          Token: { address: '0x1', transactionHash: '0xa', deployer: '0xd' },
+        },
+      },
+    },
+  ]
+
+  it('produces identical manifests for identical deployments', async () => {
+    const first = manifestService.buildManifest(deployments)
+    await new Promise((resolve) => setTimeout(resolve, 5))
+    const second = manifestService.buildManifest([...deployments].reverse())
+
+    expect(JSON.stringify(second)).toBe(JSON.stringify(first))
+    expect(first).not.toHaveProperty('generatedAt')
+  })
+
+  it('sorts chains by chain ID and contracts by name', () => {
+    const manifest = manifestService.buildManifest(deployments)
+
+    expect(Object.keys(manifest.chains)).toEqual(['1', '8453'])
+    expect(Object.keys(manifest.chains[1].contracts)).toEqual([
+      'Token',
+      'Vault',
+    ])
+    expect(manifest.chains[8453]).toEqual({
+      chainId: 8453,
+      status: 'failed',
+      sandboxId: null,
+      rpcUrl: null,
+      forkBlock: 300,
+      error: 'Deployment failed with exit code 1',
+      contracts: {},
+    })
+  })
+})
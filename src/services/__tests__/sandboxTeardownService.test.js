@@ -0,0 +1,121 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { post } = require('../../main')
+const { buildBearApi } = require('../buildBearApi')
+const { deploymentService } = require('../deploymentService')
+const { sandboxTeardownService } = require('../sandboxTeardownService')
+
+/**
+ * Set the action state the main step would have saved for the post step
+ */
+const setState = (sandboxes, retention) => {
+  process.env.STATE_sandboxes = JSON.stringify(sandboxes)
+  if (retention) {
+    process.env.STATE_sandboxRetention = retention
+  } else {
+    delete process.env.STATE_sandboxRetention
+  }
+}
+
+/**
+ * Read the sandboxes the main step saved to the action state
+ */
+const getSavedSandboxes = (saveState) => {
+  const calls = saveState.mock.calls.filter(([name]) => name === 'sandboxes')
+  return JSON.parse(calls[calls.length - 1][1])
+}
+
+describe('sandbox teardown', () => {
+  let deleteSandbox
+
+  beforeEach(() => {
+    deleteSandbox = jest
+      .spyOn(buildBearApi, 'deleteSandbox')
+      .mockResolvedValue(true)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    delete process.env.STATE_sandboxes
+    delete process.env.STATE_sandboxRetention
+    sandboxTeardownService.sandboxes = []
+  })
+
+  const sandboxes = [
+    { sandboxId: 'succeeded', chainId: 1, status: 'success' },
+    { sandboxId: 'failed', chainId: 10, status: 'failed' },
+    { sandboxId: 'cancelled', chainId: 8453, status: 'pending' },
+  ]
+
+  it('keeps only failed sandboxes under delete-on-success', async () => {
+    setState(sandboxes, 'delete-on-success')
+
+    await post()
+
+    expect(deleteSandbox.mock.calls).toEqual([['succeeded'], ['cancelled']])
+  })
+
+  it('defaults to delete-on-success', async () => {
+    setState(sandboxes)
+
+    await post()
+
+    expect(deleteSandbox.mock.calls).toEqual([['succeeded'], ['cancelled']])
+  })
+
+  it('deletes every sandbox under always-delete and none under keep', async () => {
+    setState(sandboxes, 'always-delete')
+    await post()
+    expect(deleteSandbox).toHaveBeenCalledTimes(3)
+
+    deleteSandbox.mockClear()
+    setState(sandboxes, 'keep')
+    await post()
+    expect(deleteSandbox).not.toHaveBeenCalled()
+  })
+
+  it('does not fail the job when a deletion fails', async () => {
+    deleteSandbox.mockRejectedValueOnce(new Error('Failed to delete'))
+    setState(sandboxes, 'always-delete')
+
+    await expect(post()).resolves.toBeUndefined()
+    expect(deleteSandbox).toHaveBeenCalledTimes(3)
+  })
+
+  it('marks the sandbox of a chain whose deployment threw as failed', async () => {
+    const core = require('@actions/core')
+    const saveState = jest.spyOn(core, 'saveState').mockImplementation()
+    jest.spyOn(core, 'exportVariable').mockImplementation()
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'teardown-'))
+    jest
+      .spyOn(deploymentService, 'sendDeploymentStartedNotification')
+      .mockResolvedValue()
+    jest
+      .spyOn(deploymentService, 'sendDeploymentCompletedNotification')
+      .mockResolvedValue()
+    jest.spyOn(buildBearApi, 'createSandbox').mockResolvedValue({
+      url: 'http://127.0.0.1:1/rpc',
+      sandboxId: 'threw',
+      mnemonic: 'test test test',
+    })
+    jest
+      .spyOn(buildBearApi, 'checkSandboxReadiness')
+      .mockRejectedValue(new Error('Sandbox is not ready'))
+
+    try {
+      await deploymentService.executeDeploymentPipeline({
+        networks: [{ chainId: 1, blockNumber: 100 }],
+        deployCommand: 'true',
+        workingDirectory: dir,
+      })
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+
+    expect(getSavedSandboxes(saveState)).toEqual([
+      { sandboxId: 'threw', chainId: 1, status: 'failed' },
+    ])
+  })
+})
@@ -0,0 +1,62 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { compressionUtils } = require('../../utilities/compressionUtils')
+const { testResimulationService } = require('../testResimulationService')
+const { deploymentService } = require('../deploymentService')
+
+describe('test artifacts of parallel chains', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-artifacts-'))
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('names the test artifacts file of each chain after its chain ID', () => {
+    expect(deploymentService.getChainTestArtifactsFile('bbOut.json', 1)).toBe(
+      'bbOut.1.json'
+    )
+    expect(deploymentService.getChainTestArtifactsFile(undefined, 8453)).toBe(
+      'bbOut.8453.json'
+    )
+  })
+
+  it('compresses the artifacts of chains finishing in the same millisecond apart', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1700000000000)
+    const compressDirectory =
+      compressionUtils.compressDirectory.bind(compressionUtils)
+    const compressed = []
+    jest
+      .spyOn(compressionUtils, 'compressDirectory')
+      .mockImplementation(async (sourceDir, outputDir) => {
+        compressed.push(fs.readdirSync(sourceDir))
+        return compressDirectory(sourceDir, outputDir)
+      })
+    const files = [1, 8453].map((chainId) => {
+      const file = path.join(dir, `bbOut.${chainId}.json`)
+      fs.writeFileSync(file, JSON.stringify({ chainId }))
+      return file
+    })
+
+    const results = await Promise.all(
+      files.map((file, index) =>
+        testResimulationService.processTestArtifacts(dir, {
+          fileName: path.basename(file),
+          chainId: [1, 8453][index],
+        })
+      )
+    )
+
+    expect(results.map((result) => result.success)).toEqual([true, true])
+    expect(compressed.sort()).toEqual([['bbOut.1.json'], ['bbOut.8453.json']])
+    expect(results.map((result) => result.metadata.chainId)).toEqual([1, 8453])
+
+    results.forEach((result) => fs.rmSync(result.compressedFilePath))
+  })
+})
@@ -0,0 +1,165 @@
+/**
+ * Block Pin Service
+ * Persists resolved fork blocks so that re-runs and matrix jobs fork the same blocks
+ */
+
+const github = require('@actions/github')
+const { logger } = require('./logger')
+const { ioUtils } = require('../utilities/ioUtils')
+
+/**
+ * Version of the pin file format, bumped on breaking changes
+ */
+const BLOCK_PIN_FILE_VERSION = 1
+
+class BlockPinService {
+  /**
+   * Get the key that identifies the run a pin file belongs to
+   *
+   * Re-run attempts and sibling matrix jobs share the commit SHA and run ID.
+   *
+   * @returns {{commitHash: string|null, runId: string|null}} Run key
+   */
+  getRunKey() {
+    return {
+      commitHash: github.context.sha || null,
+      runId: github.context.runId ? String(github.context.runId) : null,
+    }
+  }
+
+  /**
+   * Load pinned fork blocks
+   *
+   * Blocks from a previous manifest always apply. Blocks from the pin file
+   * apply only when it was written for the same commit and run.
+   *
+   * @param {Object} sources - Where to read pins from
+   * @param {string} [sources.pinFile] - Absolute path of the block pin file
+   * @param {string} [sources.manifestPath] - Absolute path of a previous deployment manifest
+   * @returns {Promise<Map<number, {blockNumber: number, source: string}>>} Pins keyed by chain ID
+   */
+  async loadPins({ pinFile, manifestPath } = {}) {
+    const pins = new Map()
+
+    if (pinFile && (await ioUtils.fileExists(pinFile))) {
+      const pinData = await ioUtils.readJsonFile(pinFile, {
+        throwOnError: true,
+      })
+      const { commitHash, runId } = this.getRunKey()
+
+      if (pinData?.commitHash === commitHash && pinData?.runId === runId) {
+        for (const [chainId, blockNumber] of Object.entries(
+          pinData.chains || {}
+        )) {
+          pins.set(Number(chainId), { blockNumber, source: pinFile })
+        }
+      } else {
+        logger.info(
+          `Ignoring block pin file ${pinFile}: it was written for another commit or run`
+        )
+      }
+    }
+
+    // A manifest named by the user takes precedence over the pin file
+    if (manifestPath) {
+      const manifest = await ioUtils.readJsonFile(manifestPath, {
+        throwOnError: true,
+      })
+
+      for (const [chainId, chain] of Object.entries(manifest?.chains || {})) {
+        if (Number.isInteger(chain.forkBlock)) {
+          pins.set(Number(chainId), {
+            blockNumber: chain.forkBlock,
+            source: manifestPath,
+          })
+        }
+      }
+    }
+
+    for (const pin of pins.values()) {
+      if (!Number.isInteger(pin.blockNumber) || pin.blockNumber < 0) {
+        throw new Error(
+          `Invalid pinned block ${JSON.stringify(pin.blockNumber)} in ${pin.source}`
+        )
+      }
+    }
+
+    return pins
+  }
+
+  /**
+   * Pin the fork block of networks that do not set a blockNumber
+   *
+   * @param {Array} networks - Parsed network configurations
+   * @param {Map} pins - Pins from loadPins
+   * @returns {Array} Networks with pinned blockNumbers
+   */
+  applyPins(networks, pins) {
+    return networks.map((network) => {
+      const pin = pins.get(Number(network.chainId))
+
+      // Reused sandboxes already have a fork block
+      if (!pin || network.blockNumber !== undefined || network.sandboxId) {
+        return network
+      }
+
+      logger.info(
+        `Pinned chainId ${network.chainId} to block ${pin.blockNumber} from ${pin.source}`
+      )
+      return {
+        ...network,
+        blockNumber: pin.blockNumber,
+        pinnedFrom: pin.source,
+      }
+    })
+  }
+
+  /**
+   * Write the fork blocks of this run to the pin file
+   *
+   * Pins already in the file for the same run are kept, so chains that did
+   * not get a sandbox this time keep their block.
+   *
+   * @param {string} pinFile - Absolute path of the block pin file
+   * @param {Array} deployments - Array of deployment results
+   * @returns {Promise<boolean>} True if the pin file was written
+   */
+  async savePins(pinFile, deployments) {
+    const runKey = this.getRunKey()
+    const existing = await ioUtils.readJsonFile(pinFile, { defaultValue: {} })
+    const chains =
+      existing?.commitHash === runKey.commitHash &&
+      existing?.runId === runKey.runId
+        ? { ...existing.chains }
+        : {}
+
+    for (const deployment of deployments) {
+      if (Number.isInteger(deployment.forkBlock)) {
+        chains[deployment.chainId] = deployment.forkBlock
+      }
+    }
+
+    const written = await ioUtils.writeJsonFile(pinFile, {
+      version: BLOCK_PIN_FILE_VERSION,
+      ...runKey,
+      chains,
+    })
+
+    if (written) {
+      logger.file(`Fork blocks pinned in ${pinFile}`)
+    } else {
+      logger.warn(`Failed to write block pin file ${pinFile}`)
+    }
+
+    return written
+  }
+}
+
+// Export singleton instance
+const blockPinService = new BlockPinService()
+
+module.exports = {
+  BlockPinService,
+  blockPinService,
+  BLOCK_PIN_FILE_VERSION,
+}
@@ -3,62 +3,35 @@
  * Handles all interactions with BuildBear's backend services
  */
 
+const crypto = require('crypto')
 const axios = require('axios')
 const github = require('@actions/github')
 const { getConfig, getApiToken } = require('../config')
 const { logger } = require('./logger')
+const { withRetry } = require('../utilities/retryUtils')
+const { getChainById } = require('../config/chains')
+const { RpcClient, parseQuantity } = require('./rpcClient')
 
 /**
- * Exponential backoff retry utility for API calls
- * @param {Function} fn - Function to retry
- * @param {Object} options - Retry configuration
- * @returns {Promise} Result of the function call
+ * Hex SHA-256 digest of a string or buffer
  */
-const withRetry = async (fn, options = {}) => {
-  const {
-    maxRetries = 3,
-    baseDelay = 1000,
-    maxDelay = 10000,
-    retryCondition = (error) => {
-      // Retry on network errors or 5xx status codes
-      return !error.response || error.response.status >= 500
-    },
-  } = options
-
-  let lastError
-
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      return await fn()
-    } catch (error) {
-      lastError = error
-
-      // Don't retry if we've exhausted attempts or if retry condition fails
-      if (attempt === maxRetries || !retryCondition(error)) {
-        break
-      }
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex')
 
-      // Calculate exponential backoff delay with jitter
-      const delay = Math.min(
-        baseDelay * Math.pow(2, attempt) + Math.random() * 1000,
-        maxDelay
-      )
-
-      logger.debug(
-        `API call failed (attempt ${attempt + 1}/${maxRetries + 1}). Retrying in ${Math.round(delay)}ms...`
-      )
-
-      await new Promise((resolve) => setTimeout(resolve, delay))
-    }
-  }
-
-  throw lastError
-}
+/**
+ * Check whether a webhook reply says that its idempotency key was already
+ * processed: a replayed reply, or 409 Conflict with "already processed"
+ */
+const isAlreadyProcessed = (response) =>
+  !!response &&
+  (response.headers?.['idempotent-replayed'] === 'true' ||
+    response.data?.alreadyProcessed === true ||
+    (response.status === 409 &&
+      /already processed/i.test(response.data?.message || '')))
 
 class BuildBearApiService {
   constructor() {
     this.config = getConfig()
-    this.apiToken = getApiToken()
+    this.cachedApiToken = null
     this.baseUrl = this.config.api.baseUrl
 
     // Setup axios instance with defaults
@@ -78,6 +51,16 @@ class BuildBearApiService {
     this.setupInterceptors()
   }
 
+  /**
+   * BuildBear API token, read on first use so that dry runs work without one
+   */
+  get apiToken() {
+    if (!this.cachedApiToken) {
+      this.cachedApiToken = getApiToken()
+    }
+    return this.cachedApiToken
+  }
+
   /**
    * Setup axios interceptors for logging and error handling
    */
@@ -120,19 +103,110 @@ class BuildBearApiService {
     )
   }
 
+  /**
+   * Idempotency key of a webhook call
+   *
+   * The key is the same for every attempt of one logical call in a job, so
+   * that BuildBear can ignore repeats. Jobs of a matrix share the run,
+   * attempt and job name, so the action inputs are part of the key too.
+   *
+   * @param {string} task - Webhook task
+   * @param {Object} [options] - Key options
+   * @param {number|string} [options.chainId] - Chain the call is about
+   * @param {string} [options.discriminator] - Tells apart calls of the same task and chain
+   * @returns {string} Hex SHA-256 key
+   */
+  getIdempotencyKey(task, { chainId, discriminator } = {}) {
+    const inputs = Object.keys(process.env)
+      .filter((name) => name.startsWith('INPUT_'))
+      .sort()
+      .map((name) => `${name}=${process.env[name]}`)
+
+    return sha256(
+      JSON.stringify([
+        process.env.GITHUB_RUN_ID || String(github.context.runId),
+        process.env.GITHUB_RUN_ATTEMPT || '1',
+        process.env.GITHUB_JOB || '',
+        process.env.GITHUB_ACTION || '',
+        sha256(inputs.join('\n')),
+        chainId === undefined ? '' : String(chainId),
+        task,
+        discriminator ?? '',
+      ])
+    )
+  }
+
+  /**
+   * Post a call to the CI webhook, with retries and an idempotency key
+   *
+   * A call that BuildBear already processed is answered with its original
+   * reply, or with 409 Conflict; both are returned as success.
+   *
+   * @param {Object} payload - Webhook request body
+   * @param {Object} [options] - Call options
+   * @param {number|string} [options.chainId] - Chain the call is about
+   * @param {string} [options.discriminator] - Tells apart calls of the same task and chain
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {number} [options.baseDelay=1000] - Base retry delay in milliseconds
+   * @param {number} [options.maxDelay=10000] - Maximum retry delay in milliseconds
+   * @returns {Promise<Object>} Axios response
+   */
+  async postWebhook(payload, options = {}) {
+    const {
+      chainId,
+      discriminator,
+      timeout,
+      baseDelay = 1000,
+      maxDelay = 10000,
+    } = options
+    const task = payload.task || 'notification'
+    const url = `/ci/webhook/${this.apiToken}`
+    const requestConfig = {
+      headers: {
+        'Idempotency-Key': this.getIdempotencyKey(task, {
+          chainId,
+          discriminator,
+        }),
+      },
+      ...(timeout && { timeout }),
+    }
+
+    let response
+    try {
+      response = await withRetry(
+        () => this.client.post(url, payload, requestConfig),
+        {
+          maxRetries: this.config.api.retryAttempts || 3,
+          baseDelay,
+          maxDelay,
+        }
+      )
+    } catch (error) {
+      if (!isAlreadyProcessed(error.response)) {
+        throw error
+      }
+      response = error.response
+    }
+
+    if (isAlreadyProcessed(response)) {
+      logger.info(`BuildBear already processed this ${task} call`)
+    }
+    return response
+  }
+
   /**
    * Create a new sandbox node for deployment
    *
    * @param {Object} params - Sandbox creation parameters
    * @param {number} params.chainId - Blockchain network chain ID
    * @param {number} [params.blockNumber] - Optional block number for forking
+   * @param {number} [params.index=0] - Position of the network in the input list
    * @returns {Promise<{url: string, sandboxId: string}>} Sandbox details
    */
-  async createSandbox({ chainId, blockNumber }) {
+  async createSandbox({ chainId, blockNumber, index = 0 }) {
     try {
       logger.progress(`Creating sandbox for chainId: ${chainId}`)
 
-      const url = `/ci/webhook/${this.apiToken}`
       const payload = {
         task: 'create_node',
         payload: {
@@ -148,12 +222,37 @@ class BuildBearApiService {
 
       logger.debug('Creating sandbox with payload', payload)
 
-      const response = await withRetry(() => this.client.post(url, payload), {
-        maxRetries: this.config.api.retryAttempts || 3,
-        baseDelay: 1000,
-        maxDelay: 10000,
+      // The same chain may be listed twice
+      const response = await this.postWebhook(payload, {
+        chainId,
+        discriminator: `network ${index}`,
       })
 
+      // A 409 for an already processed call may name the sandbox the first
+      // attempt created without its details
+      const existingSandboxId =
+        response.data?.sandboxId || response.data?.sandbox?.sandboxId
+      if (
+        isAlreadyProcessed(response) &&
+        !response.data?.sandbox?.rpcUrl &&
+        existingSandboxId
+      ) {
+        logger.info(
+          `Recovering sandbox ${existingSandboxId} created by an earlier attempt`
+        )
+        const { url, sandboxId, mnemonic } =
+          await this.getSandbox(existingSandboxId)
+        return { url, sandboxId, mnemonic }
+      }
+
+      if (!response.data?.sandbox) {
+        throw new Error(
+          isAlreadyProcessed(response)
+            ? 'BuildBear already processed this call, but the reply names no sandbox to recover'
+            : 'The reply has no sandbox details'
+        )
+      }
+
       const sandboxData = {
         url: response.data.sandbox.rpcUrl,
         sandboxId: response.data.sandbox.sandboxId,
@@ -176,57 +275,202 @@ class BuildBearApiService {
   }
 
   /**
-   * Check if sandbox is ready by polling its status
+   * Look up an existing sandbox owned by the API token
+   *
+   * @param {string} sandboxId - ID of the sandbox
+   * @returns {Promise<{url: string, sandboxId: string, mnemonic: string, chainId: number|null, forkBlock: number|null}>} Sandbox details
+   * @throws {Error} If the sandbox does not exist or belongs to another token
+   */
+  async getSandbox(sandboxId) {
+    try {
+      logger.progress(`Looking up sandbox: ${sandboxId}`)
+
+      const payload = {
+        task: 'get_node',
+        payload: {
+          repositoryName: github.context.repo.repo,
+          repositoryOwner: github.context.repo.owner,
+          commitHash: github.context.sha,
+          sandboxId,
+        },
+      }
+
+      const response = await this.postWebhook(payload, {
+        discriminator: sandboxId,
+      })
+
+      if (!response.data?.sandbox) {
+        throw new Error(
+          `The reply has no sandbox details for sandbox ${sandboxId}`
+        )
+      }
+      const { sandbox } = response.data
+
+      logger.success(`Found sandbox: ${sandbox.sandboxId}`)
+
+      return {
+        url: sandbox.rpcUrl,
+        sandboxId: sandbox.sandboxId,
+        mnemonic: sandbox.mnemonic,
+        chainId: sandbox.chainId ?? null,
+        forkBlock: sandbox.forkBlock ?? null,
+      }
+    } catch (error) {
+      logger.debug('Failed to look up sandbox', {
+        sandboxId,
+        error: error.response?.data || error.message,
+      })
+
+      if ([403, 404].includes(error.response?.status)) {
+        throw new Error(
+          `Sandbox ${sandboxId} was not found or is not owned by this API token`
+        )
+      }
+      throw new Error(
+        `Failed to look up sandbox ${sandboxId}: ${error.response?.data?.message || error.message}`
+      )
+    }
+  }
+
+  /**
+   * Delete a sandbox node
+   *
+   * @param {string} sandboxId - ID of the sandbox to delete
+   * @returns {Promise<void>}
+   */
+  async deleteSandbox(sandboxId) {
+    try {
+      logger.progress(`Deleting sandbox: ${sandboxId}`)
+
+      const payload = {
+        task: 'delete_node',
+        payload: {
+          repositoryName: github.context.repo.repo,
+          repositoryOwner: github.context.repo.owner,
+          commitHash: github.context.sha,
+          sandboxId,
+        },
+      }
+
+      await this.postWebhook(payload, { discriminator: sandboxId })
+
+      logger.success(`Sandbox deleted successfully: ${sandboxId}`)
+    } catch (error) {
+      logger.debug('Failed to delete sandbox', {
+        sandboxId,
+        error: error.response?.data || error.message,
+      })
+      throw new Error(
+        `Failed to delete sandbox ${sandboxId}: ${error.response?.data?.message || error.message}`
+      )
+    }
+  }
+
+  /**
+   * Wait until a sandbox has loaded its fork state
+   *
+   * A sandbox is ready when it reports the requested chain ID, its latest
+   * block is at or after the fork block, and the chain's readiness probe
+   * contract has code. The checks are polled until config.sandbox.timeout.
    *
    * @param {string} rpcUrl - Sandbox RPC URL to check
-   * @returns {Promise<boolean>} True if sandbox is ready
+   * @param {Object} expected - What the sandbox was created with
+   * @param {number} expected.chainId - Requested chain ID
+   * @param {number} [expected.blockNumber] - Requested fork block, unknown when BuildBear picks it
+   * @returns {Promise<void>}
+   * @throws {Error} If the sandbox is not ready before the deadline
    */
-  async checkSandboxReadiness(rpcUrl) {
-    const maxRetries = this.config.sandbox.maxRetries
-    const delay = this.config.sandbox.retryDelay
+  async checkSandboxReadiness(rpcUrl, { chainId, blockNumber }) {
+    const { timeout, retryDelay } = this.config.sandbox
+    const deadline = Date.now() + timeout
+    const probe = getChainById(chainId)?.readinessProbe
+    const forkBlock = Number.isInteger(blockNumber) ? blockNumber : null
+    const rpcClient = new RpcClient(rpcUrl)
+    let attempt = 0
+    let reason
 
     logger.progress(`Checking sandbox readiness: ${rpcUrl}`)
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const response = await withRetry(
-          () =>
-            axios.post(
-              rpcUrl,
-              {
-                jsonrpc: '2.0',
-                id: 1,
-                method: 'eth_chainId',
-                params: [],
-              },
-              {
-                timeout: 5000, // Short timeout for readiness checks
-              }
-            ),
-          {
-            maxRetries: 2, // Fewer retries for readiness checks
-            baseDelay: 500,
-            maxDelay: 2000,
-          }
-        )
+    if (!probe) {
+      logger.debug(`No readiness probe contract known for chainId ${chainId}`)
+    }
 
-        if (response.status === 200 && response.data.result) {
-          logger.success(`Sandbox is ready: ${rpcUrl}`)
-          return true
-        }
+    while (true) {
+      attempt++
+      try {
+        reason = await this.getSandboxNotReadyReason(rpcClient, {
+          chainId: Number(chainId),
+          forkBlock,
+          probe,
+          // Short timeout for readiness checks, ending near the deadline
+          timeout: Math.min(5000, Math.max(deadline - Date.now(), 1000)),
+        })
       } catch (error) {
-        logger.timing(
-          `Attempt ${attempt}/${maxRetries}: Sandbox not ready. Retrying in ${delay / 1000}s...`
-        )
+        reason = error.message
+      }
+
+      if (!reason) {
+        logger.success(`Sandbox is ready: ${rpcUrl}`)
+        return
       }
 
-      if (attempt < maxRetries) {
-        await new Promise((resolve) => setTimeout(resolve, delay))
+      logger.debug(`Readiness check failed: ${reason}`)
+
+      const delay = Math.min(retryDelay, deadline - Date.now())
+      if (delay <= 0) {
+        break
       }
+
+      logger.timing(
+        `Attempt ${attempt}: Sandbox not ready (${reason}). Retrying in ${delay / 1000}s...`
+      )
+      await new Promise((resolve) => setTimeout(resolve, delay))
+    }
+
+    throw new Error(
+      `Sandbox ${rpcUrl} was not ready after ${timeout / 1000}s: ${reason}`
+    )
+  }
+
+  /**
+   * Run the readiness checks once, in a single batch request
+   *
+   * @returns {Promise<string|null>} Why the sandbox is not ready, null if it is
+   */
+  async getSandboxNotReadyReason(
+    rpcClient,
+    { chainId, forkBlock, probe, timeout }
+  ) {
+    // Forks before the probe contract was deployed cannot have its code
+    const checkCode =
+      probe && (forkBlock === null || forkBlock >= probe.deployedAt)
+
+    const [chainIdResult, blockNumberResult, code] = await rpcClient.batch(
+      [
+        { method: 'eth_chainId' },
+        { method: 'eth_blockNumber' },
+        ...(checkCode
+          ? [{ method: 'eth_getCode', params: [probe.address, 'latest'] }]
+          : []),
+      ],
+      { timeout }
+    )
+
+    const sandboxChainId = parseQuantity(chainIdResult, 'eth_chainId')
+    if (sandboxChainId !== chainId) {
+      return `chain ID is ${sandboxChainId}, expected ${chainId}`
+    }
+
+    const sandboxBlock = parseQuantity(blockNumberResult, 'eth_blockNumber')
+    if (forkBlock !== null && sandboxBlock < forkBlock) {
+      return `latest block is ${sandboxBlock}, expected at least ${forkBlock}`
     }
 
-    logger.debug(`Sandbox failed to become ready after ${maxRetries} attempts`)
-    return false
+    if (checkCode && (typeof code !== 'string' || /^0x0*$/.test(code))) {
+      return `no code at ${probe.address}`
+    }
+
+    return null
   }
 
   /**
@@ -262,11 +506,11 @@ class BuildBearApiService {
 
       logger.debug('Notification payload', payload)
 
-      const url = `/ci/webhook/${this.apiToken}`
-      await withRetry(() => this.client.post(url, payload), {
-        maxRetries: this.config.api.retryAttempts || 3,
-        baseDelay: 1000,
-        maxDelay: 10000,
+      // A run may send several notifications with the same status
+      await this.postWebhook(payload, {
+        discriminator: sha256(
+          JSON.stringify([deploymentData.status, payload.payload.message])
+        ),
       })
 
       logger.success('Deployment notification sent successfully')
@@ -282,9 +526,11 @@ class BuildBearApiService {
    * Initialize test simulation and get presigned URL
    *
    * @param {Object} metadata - Test simulation metadata
+   * @param {number} [metadata.chainId] - Chain the tests ran on, part of the idempotency key
+   * @param {string} [contentDigest] - SHA-256 of the artifacts to upload, so that retries reuse the upload
    * @returns {Promise<Object>} Response with presigned URL and upload key
    */
-  async initSimulateTest(metadata) {
+  async initSimulateTest(metadata, contentDigest) {
     try {
       logger.progress('Initializing test simulation')
 
@@ -308,11 +554,9 @@ class BuildBearApiService {
         },
       }
 
-      const url = `/ci/webhook/${this.apiToken}`
-      const response = await withRetry(() => this.client.post(url, payload), {
-        maxRetries: this.config.api.retryAttempts || 3,
-        baseDelay: 1000,
-        maxDelay: 10000,
+      const response = await this.postWebhook(payload, {
+        chainId: metadata.chainId,
+        discriminator: contentDigest,
       })
 
       logger.success('Test simulation initialized successfully')
@@ -341,14 +585,22 @@ class BuildBearApiService {
       logger.progress('Uploading file to presigned URL')
 
       // Use axios directly for PUT request to S3
-      const response = await axios.put(presignedUrl, fileBuffer, {
-        headers: {
-          'Content-Type': 'application/gzip',
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
-        timeout: 900000, // 5 minutes for large uploads
-      })
+      const response = await withRetry(
+        () =>
+          axios.put(presignedUrl, fileBuffer, {
+            headers: {
+              'Content-Type': 'application/gzip',
+            },
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity,
+            timeout: 900000, // 5 minutes for large uploads
+          }),
+        {
+          maxRetries: this.config.api.retryAttempts || 3,
+          baseDelay: 2000,
+          maxDelay: 15000,
+        }
+      )
 
       if (response.status !== 200 && response.status !== 204) {
         throw new Error(`Upload failed with status ${response.status}`)
@@ -368,6 +620,7 @@ class BuildBearApiService {
    *
    * @param {string} uploadKey - The upload key from init_simulate_test
    * @param {Object} metadata - Additional metadata
+   * @param {number} [metadata.chainId] - Chain the tests ran on, part of the idempotency key
    * @returns {Promise<Object>} Simulation response
    */
   async triggerSimulateTest(uploadKey, metadata) {
@@ -395,11 +648,9 @@ class BuildBearApiService {
         },
       }
 
-      const url = `/ci/webhook/${this.apiToken}`
-      const response = await withRetry(() => this.client.post(url, payload), {
-        maxRetries: this.config.api.retryAttempts || 3,
-        baseDelay: 1000,
-        maxDelay: 10000,
+      const response = await this.postWebhook(payload, {
+        chainId: metadata.chainId,
+        discriminator: uploadKey,
       })
 
       logger.success('Test simulation triggered successfully')
@@ -434,7 +685,10 @@ class BuildBearApiService {
       const fileBuffer = await fs.promises.readFile(filePath)
 
       // Step 1: Initialize test simulation to get presigned URL
-      const initResponse = await this.initSimulateTest(metadata)
+      const initResponse = await this.initSimulateTest(
+        metadata,
+        sha256(fileBuffer)
+      )
       const { url: presignedUrl, key: uploadKey } = initResponse
 
       // Step 2: Upload file to presigned URL
@@ -465,6 +719,7 @@ class BuildBearApiService {
    *
    * @param {Object} artifacts - Contract artifacts for verification
    * @param {Object} metadata - Verification metadata
+   * @param {number} [metadata.chainId] - Chain the contracts were deployed on, part of the idempotency key
    * @returns {Promise<Object>} Verification response
    */
   async uploadVerificationArtifacts(artifacts, metadata) {
@@ -495,18 +750,13 @@ class BuildBearApiService {
         },
       }
 
-      const url = `/ci/webhook/${this.apiToken}`
-      const response = await withRetry(
-        () =>
-          this.client.post(url, webhookPayload, {
-            timeout: 120000, // 2 minutes for large uploads
-          }),
-        {
-          maxRetries: this.config.api.retryAttempts || 3,
-          baseDelay: 2000,
-          maxDelay: 15000,
-        }
-      )
+      const response = await this.postWebhook(webhookPayload, {
+        chainId: metadata.chainId,
+        discriminator: sha256(JSON.stringify(artifacts)),
+        timeout: 120000, // 2 minutes for large uploads
+        baseDelay: 2000,
+        maxDelay: 15000,
+      })
 
       logger.success('Contract verification artifacts uploaded successfully')
       return {
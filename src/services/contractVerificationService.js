@@ -5,6 +5,7 @@
 
 const fs = require('fs').promises
 const path = require('path')
+const crypto = require('crypto')
 const { logger } = require('./logger')
 const { getConfig } = require('../config')
 
@@ -313,6 +314,34 @@ class ContractVerificationService {
     }
   }
 
+  /**
+   * Hash the deployed bytecode of a compiled contract
+   *
+   * @param {string} outDir - Output directory with artifacts
+   * @param {string} contractName - Contract name
+   * @returns {Promise<string|null>} 0x-prefixed sha256 of the deployed bytecode, or null
+   */
+  async getBytecodeHash(outDir, contractName) {
+    const artifactPath = await this.findArtifactPath(outDir, contractName)
+    if (!artifactPath) {
+      return null
+    }
+
+    const artifact = await this.readJsonFile(artifactPath)
+    const bytecode = artifact?.deployedBytecode?.object
+
+    if (!bytecode || bytecode === '0x') {
+      return null
+    }
+
+    const hash = crypto
+      .createHash('sha256')
+      .update(Buffer.from(bytecode.replace(/^0x/, ''), 'hex'))
+      .digest('hex')
+
+    return `0x${hash}`
+  }
+
   /**
    * Read and parse JSON file
    *
@@ -5,16 +5,27 @@
 
 const { spawn } = require('child_process')
 const core = require('@actions/core')
+const fs = require('fs').promises
+const os = require('os')
 const path = require('path')
 const { logger } = require('./logger')
 const { buildBearApi } = require('./buildBearApi')
 const { getConfig } = require('../config')
-const { getLatestBlockNumber } = require('../network')
+const {
+  FAILURE_POLICIES,
+  parseFailurePolicy,
+  isFailureAllowed,
+} = require('../config/failurePolicy')
+const { SNAPSHOT_POINTS } = require('../config/snapshots')
+const { resolveForkBlock, parseForkTransaction } = require('../network')
 
 const { pathUtils } = require('../utilities/pathUtils')
 const { ioUtils } = require('../utilities/ioUtils')
+const { concurrencyUtils } = require('../utilities/concurrencyUtils')
 const { contractVerificationService } = require('./contractVerificationService')
 const { testResimulationService } = require('./testResimulationService')
+const { sandboxTeardownService } = require('./sandboxTeardownService')
+const { sandboxCheatService } = require('./sandboxCheatService')
 
 class DeploymentService {
   constructor() {
@@ -28,12 +39,20 @@ class DeploymentService {
    * @param {Array} params.networks - Array of network configurations
    * @param {string} [params.deployCommand] - Optional deployment command
    * @param {string} params.workingDirectory - Working directory path
-   * @returns {Promise<Array>} Array of deployment results
+   * @param {number} [params.maxParallel=1] - Maximum networks deployed at the same time
+   * @param {Object} [params.failurePolicy] - Parsed failure policy
+   * @param {string} [params.testArtifactsFile] - File name of the test artifacts
+   * @param {string} [params.resimulateFrom] - Snapshot point to revert to before test resimulation
+   * @returns {Promise<Array>} Array of deployment results, in network order
    */
   async executeDeploymentPipeline({
     networks,
     deployCommand,
     workingDirectory,
+    maxParallel = 1,
+    failurePolicy = parseFailurePolicy(),
+    testArtifactsFile,
+    resimulateFrom = null,
   }) {
     const allDeployments = []
 
@@ -51,7 +70,8 @@ class DeploymentService {
           await this.processArtifacts(
             workingDirectory,
             'success',
-            'Processing artifacts only (no deployment command)'
+            'Processing artifacts only (no deployment command)',
+            { testArtifactsFile }
           )
         }
 
@@ -61,35 +81,85 @@ class DeploymentService {
       }
 
       // Process deployments for each network
-      if (deployCommand && workingDirectory) {
-        for (const network of networks) {
-          logger.info(`Processing network with chainId: ${network.chainId}`)
+      const hasDeployCommand =
+        !!deployCommand || networks.some((network) => network.deployCommand)
 
-          try {
-            const deploymentResult = await this.deployToNetwork(
-              network,
-              deployCommand,
-              workingDirectory
-            )
+      if (hasDeployCommand && workingDirectory) {
+        const parallelism = Math.min(maxParallel || 1, networks.length)
+        const isolated = parallelism > 1
+
+        if (isolated) {
+          logger.info(
+            `Deploying to ${networks.length} networks with up to ${parallelism} in parallel`
+          )
+        }
+
+        let aborted = false
+
+        const results = await concurrencyUtils.mapWithConcurrency(
+          networks,
+          parallelism,
+          async (network, index) => {
+            if (aborted) {
+              logger.warn(
+                `Skipping chainId ${network.chainId} after an earlier failure (fail-fast)`
+              )
+              return {
+                chainId: network.chainId,
+                status: 'skipped',
+                error: 'Skipped after an earlier chain failed (fail-fast)',
+              }
+            }
+
+            logger.info(`Processing network with chainId: ${network.chainId}`)
 
-            if (deploymentResult) {
-              allDeployments.push(deploymentResult)
+            let deploymentResult
+            try {
+              deploymentResult = await this.deployToNetwork(
+                network,
+                deployCommand,
+                workingDirectory,
+                { index, isolated, testArtifactsFile, resimulateFrom }
+              )
+            } catch (error) {
+              logger.error(
+                `Failed to deploy to network ${network.chainId}`,
+                error
+              )
+              deploymentResult = {
+                chainId: network.chainId,
+                ...(error.forkBlock !== undefined && {
+                  forkBlock: error.forkBlock,
+                }),
+                status: 'failed',
+                error: error.message,
+              }
+            }
+
+            if (deploymentResult.status === 'failed') {
+              if (
+                failurePolicy.mode === FAILURE_POLICIES.FAIL_FAST &&
+                !aborted
+              ) {
+                logger.error(
+                  `Aborting remaining networks: chainId ${network.chainId} failed (fail-fast)`
+                )
+                aborted = true
+              }
+            } else {
               logger.info(
                 `Successfully processed deployment for chainId: ${network.chainId}`
               )
             }
-          } catch (error) {
-            logger.error(
-              `Failed to deploy to network ${network.chainId}`,
-              error
-            )
-            allDeployments.push({
-              chainId: network.chainId,
-              status: 'failed',
-              error: error.message,
-            })
+
+            return deploymentResult
           }
-        }
+        )
+
+        allDeployments.push(...results.filter(Boolean))
+
+        // Sandboxes of chains whose deployment threw are kept as failures
+        sandboxTeardownService.failPendingSandboxes()
       } else {
         logger.info(
           'No deployment command provided. Processing artifacts only.'
@@ -98,7 +168,8 @@ class DeploymentService {
           await this.processArtifacts(
             workingDirectory,
             'success',
-            'Processing artifacts only (no deployment command)'
+            'Processing artifacts only (no deployment command)',
+            { testArtifactsFile }
           )
         }
       }
@@ -107,7 +178,10 @@ class DeploymentService {
       logger.info(
         `Sending completion notification for ${allDeployments.length} deployments`
       )
-      await this.sendDeploymentCompletedNotification(allDeployments)
+      await this.sendDeploymentCompletedNotification(
+        allDeployments,
+        this.getBlockingFailures(allDeployments, failurePolicy)
+      )
 
       // Log final results
       console.log('Final deployment results:', allDeployments)
@@ -121,89 +195,503 @@ class DeploymentService {
   /**
    * Deploy to a specific network
    *
+   * The network's own deployCommand, env and workingDirectory, when present,
+   * override the global settings for this chain.
+   *
    * @param {Object} network - Network configuration
-   * @param {string} deployCommand - Deployment command
-   * @param {string} workingDirectory - Working directory
+   * @param {string} deployCommand - Default deployment command
+   * @param {string} workingDirectory - Default working directory
+   * @param {Object} [options] - Deployment options
+   * @param {number} [options.index=0] - Position of the network in the input list
+   * @param {boolean} [options.isolated=false] - Isolate broadcast files and logs from other chains
+   * @param {string} [options.testArtifactsFile] - File name of the test artifacts
+   * @param {string} [options.resimulateFrom] - Snapshot point to revert to before test resimulation
    * @returns {Promise<Object>} Deployment result
    */
-  async deployToNetwork(network, deployCommand, workingDirectory) {
+  async deployToNetwork(
+    network,
+    deployCommand,
+    workingDirectory,
+    options = {}
+  ) {
+    const {
+      index = 0,
+      isolated = false,
+      testArtifactsFile,
+      resimulateFrom = null,
+    } = options
     const { chainId } = network
 
-    // Determine block number
-    const blockNumber =
-      network.blockNumber !== undefined
-        ? network.blockNumber
-        : await getLatestBlockNumber(parseInt(chainId))
+    const chainDeployCommand = network.deployCommand || deployCommand
+    const chainWorkingDirectory = network.workingDirectory
+      ? path.resolve(workingDirectory, network.workingDirectory)
+      : workingDirectory
 
-    logger.info(`Block number for chainId ${chainId}: ${blockNumber}`)
+    if (!chainDeployCommand) {
+      throw new Error(`No deploy command configured for chainId ${chainId}`)
+    }
 
-    // Create sandbox
-    const sandboxData = await buildBearApi.createSandbox({
-      chainId,
-      blockNumber,
+    // Determine block number, or leave it to BuildBear for chains without
+    // an upstream RPC. Reused sandboxes already have one.
+    let blockNumber = null
+    if (network.blockNumber !== undefined) {
+      blockNumber = network.blockNumber
+    } else if (!network.sandboxLatestBlock && !network.sandboxId) {
+      blockNumber = await resolveForkBlock(parseInt(chainId), {
+        block: network.block,
+        blockTimestamp: network.blockTimestamp,
+        forkAtTransaction: network.forkAtTransaction,
+        position: network.position,
+      })
+    }
+
+    try {
+      return await this.deployOnSandbox(network, blockNumber, {
+        chainDeployCommand,
+        chainWorkingDirectory,
+        index,
+        isolated,
+        testArtifactsFile,
+        resimulateFrom,
+      })
+    } catch (error) {
+      // Keep the resolved block, so that a chain failing after this point is
+      // pinned too and its re-run forks the same block
+      if (Number.isInteger(blockNumber)) {
+        error.forkBlock = blockNumber
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Create or look up the sandbox of a network and run its deployment
+   *
+   * @param {Object} network - Network configuration
+   * @param {number|null} blockNumber - Resolved fork block, null to fork latest
+   * @param {Object} context - Resolved settings of the chain
+   * @param {string} context.chainDeployCommand - Deployment command of the chain
+   * @param {string} context.chainWorkingDirectory - Working directory of the chain
+   * @param {number} context.index - Position of the network in the input list
+   * @param {boolean} context.isolated - Isolate broadcast files and logs from other chains
+   * @param {string} [context.testArtifactsFile] - File name of the test artifacts
+   * @param {string|null} context.resimulateFrom - Snapshot point to revert to before test resimulation
+   * @returns {Promise<Object>} Deployment result
+   */
+  async deployOnSandbox(network, blockNumber, context) {
+    const { chainId } = network
+    const {
+      chainDeployCommand,
+      chainWorkingDirectory,
+      index,
+      isolated,
+      testArtifactsFile,
+      resimulateFrom,
+    } = context
+
+    let sandboxData
+    if (network.sandboxId) {
+      // Reused sandboxes are not tracked, so teardown never deletes them
+      sandboxData = await buildBearApi.getSandbox(network.sandboxId)
+
+      if (
+        sandboxData.chainId !== null &&
+        Number(sandboxData.chainId) !== Number(chainId)
+      ) {
+        throw new Error(
+          `Sandbox ${network.sandboxId} is a fork of chainId ${sandboxData.chainId}, not ${chainId}`
+        )
+      }
+
+      blockNumber = sandboxData.forkBlock
+      logger.info(
+        `Reusing sandbox ${sandboxData.sandboxId} for chainId ${chainId}`
+      )
+    } else {
+      if (blockNumber === null) {
+        logger.info(`Block number for chainId ${chainId}: latest (BuildBear)`)
+      } else {
+        logger.info(`Block number for chainId ${chainId}: ${blockNumber}`)
+      }
+
+      // Create sandbox
+      sandboxData = await buildBearApi.createSandbox({
+        chainId,
+        blockNumber,
+        index,
+      })
+
+      sandboxTeardownService.trackSandbox({
+        sandboxId: sandboxData.sandboxId,
+        chainId,
+      })
+    }
+
+    // Environment passed to the deployment command of this chain only
+    const env = {
+      ...this.stringifyEnv(network.env),
+      BUILDBEAR_RPC_URL: sandboxData.url,
+      MNEMONIC: sandboxData.mnemonic,
+    }
+    const impersonated = network.impersonate || []
+    impersonated.forEach((address, i) => {
+      env[`BUILDBEAR_IMPERSONATED_${i}`] = address
     })
 
-    // Set environment variables
-    core.exportVariable('BUILDBEAR_RPC_URL', sandboxData.url)
-    core.exportVariable('MNEMONIC', sandboxData.mnemonic)
+    // Blank the indices a previous chain or step exported beyond this
+    // chain's list, so they are not taken for this chain's accounts
+    Object.keys(process.env)
+      .filter((key) => {
+        const match = /^BUILDBEAR_IMPERSONATED_(\d+)$/.exec(key)
+        return match && Number(match[1]) >= impersonated.length
+      })
+      .forEach((key) => {
+        env[key] = ''
+      })
+
+    // Parallel runs share the process, so only sequential runs export the
+    // sandbox to the rest of the job
+    if (!isolated) {
+      core.exportVariable('BUILDBEAR_RPC_URL', sandboxData.url)
+      core.exportVariable('MNEMONIC', sandboxData.mnemonic)
+      Object.entries(env)
+        .filter(([key]) => key.startsWith('BUILDBEAR_IMPERSONATED_'))
+        .forEach(([key, value]) => core.exportVariable(key, value))
+    }
 
     // Check sandbox readiness
-    const isReady = await buildBearApi.checkSandboxReadiness(sandboxData.url)
+    await buildBearApi.checkSandboxReadiness(sandboxData.url, {
+      chainId: Number(chainId),
+      blockNumber,
+    })
+
+    // Impersonate first, so that explicit native balances from fund win over
+    // the gas given to impersonated accounts
+    if (impersonated.length > 0) {
+      logger.progress(`Impersonating accounts for chainId ${chainId}`)
+      await sandboxCheatService.impersonateAccounts(
+        sandboxData.url,
+        impersonated
+      )
+    }
+
+    if (network.fund?.length > 0) {
+      logger.progress(`Funding accounts for chainId ${chainId}`)
+      await sandboxCheatService.fundAccounts(sandboxData.url, network.fund, {
+        impersonated,
+      })
+    }
+
+    // Later stages and user scripts can revert to the prepared sandbox
+    const snapshots = {
+      [SNAPSHOT_POINTS.READY]: await this.takeSnapshot(
+        sandboxData.url,
+        chainId,
+        SNAPSHOT_POINTS.READY
+      ),
+      [SNAPSHOT_POINTS.DEPLOYED]: null,
+    }
+
+    // Set both, so neither inherits the snapshot of a previous chain
+    env.BUILDBEAR_SNAPSHOT_READY = snapshots.ready || ''
+    env.BUILDBEAR_SNAPSHOT_DEPLOYED = ''
+
+    // Give each parallel chain its own copy of the broadcast directory
+    const broadcastDir = isolated
+      ? await this.prepareIsolatedBroadcast(
+          chainWorkingDirectory,
+          chainId,
+          index
+        )
+      : null
+
+    if (broadcastDir) {
+      env.FOUNDRY_BROADCAST = broadcastDir
+    }
+
+    // Parallel chains share the working directory, so each one reads its
+    // test artifacts from a file of its own, named to the deploy command
+    const chainTestArtifactsFile = isolated
+      ? this.getChainTestArtifactsFile(testArtifactsFile, chainId)
+      : testArtifactsFile
 
-    if (!isReady) {
-      throw new Error(`Sandbox failed to become ready: ${sandboxData.url}`)
+    if (isolated) {
+      env.BUILDBEAR_TEST_ARTIFACTS_FILE = path.join(
+        chainWorkingDirectory,
+        chainTestArtifactsFile
+      )
     }
 
-    // Execute deployment and wait for completion (don't process artifacts yet)x
+    // Execute deployment and wait for completion (don't process artifacts yet)
     logger.deployment(`Executing deployment for chainId ${chainId}`)
     const exitCode = await this.executeDeployment(
-      deployCommand,
-      workingDirectory,
-      true
+      chainDeployCommand,
+      chainWorkingDirectory,
+      false,
+      {
+        env,
+        label: isolated ? `chainId ${chainId}` : null,
+      }
     )
 
     // Add a small delay to ensure broadcast files are fully written
     await new Promise((resolve) => setTimeout(resolve, 1000))
 
+    if (exitCode === 0) {
+      snapshots.deployed = await this.takeSnapshot(
+        sandboxData.url,
+        chainId,
+        SNAPSHOT_POINTS.DEPLOYED
+      )
+    }
+
     // Process deployment artifacts after deployment completes
     const deploymentData = await this.processBroadcastDirectory(
       chainId,
-      workingDirectory
+      chainWorkingDirectory,
+      broadcastDir
     )
 
-    console.log('Deployment data:', deploymentData)
+    if (deploymentData) {
+      await this.addBytecodeHashes(deploymentData, chainWorkingDirectory)
+    }
+
+    logger.debug(`Deployment data for chainId ${chainId}`, deploymentData)
 
-    // Now process artifacts (test resimulation and contract verification)
+    // Now process artifacts (contract verification and test resimulation)
     const status = exitCode === 0 ? 'success' : 'failed'
     const message =
       exitCode === 0
         ? 'Deployment completed successfully'
         : `Deployment failed with exit code ${exitCode}`
 
-    await this.processArtifacts(workingDirectory, status, message)
+    // Verification is submitted for the deployed contracts before a revert
+    // can remove them, so only test resimulation runs on the reverted sandbox
+    await this.processContractVerificationArtifacts(chainWorkingDirectory, {
+      status,
+      message,
+      broadcastDir,
+      chainId,
+    })
+
+    if (resimulateFrom) {
+      await this.revertSandbox(
+        sandboxData.url,
+        chainId,
+        snapshots,
+        resimulateFrom
+      )
+    }
+
+    if (!isolated) {
+      core.exportVariable('BUILDBEAR_SNAPSHOT_READY', snapshots.ready || '')
+      core.exportVariable(
+        'BUILDBEAR_SNAPSHOT_DEPLOYED',
+        snapshots.deployed || ''
+      )
+    }
+
+    await this.processTestResimulationArtifacts(chainWorkingDirectory, {
+      status,
+      message,
+      chainId,
+      ...(chainTestArtifactsFile && { fileName: chainTestArtifactsFile }),
+    })
+
+    if (broadcastDir) {
+      await this.mergeIsolatedBroadcast(broadcastDir, chainWorkingDirectory)
+    }
+
+    sandboxTeardownService.updateSandboxStatus(sandboxData.sandboxId, status)
 
     return {
       chainId,
       rpcUrl: sandboxData.url,
       sandboxId: sandboxData.sandboxId,
-      status: 'success',
+      forkBlock: blockNumber,
+      ...(network.sandboxId && { reusedSandbox: true }),
+      snapshots,
+      ...(network.forkAtTransaction && {
+        forkTransaction: parseForkTransaction(
+          network.forkAtTransaction,
+          network.position
+        ),
+      }),
+      status,
+      ...(exitCode !== 0 && { error: message }),
       deployments: deploymentData,
     }
   }
 
+  /**
+   * Snapshot the sandbox, or warn and carry on if it cannot be snapshotted
+   *
+   * @param {string} rpcUrl - Sandbox RPC URL
+   * @param {string|number} chainId - Chain ID of the sandbox
+   * @param {string} point - Snapshot point, for messages
+   * @returns {Promise<string|null>} Snapshot ID, null if none was taken
+   */
+  async takeSnapshot(rpcUrl, chainId, point) {
+    try {
+      const snapshotId = await sandboxCheatService.takeSnapshot(rpcUrl)
+      logger.info(`Took ${point} snapshot ${snapshotId} for chainId ${chainId}`)
+      return snapshotId
+    } catch (error) {
+      logger.warn(
+        `Could not take the ${point} snapshot for chainId ${chainId}: ${error.message}`
+      )
+      return null
+    }
+  }
+
+  /**
+   * Revert the sandbox to a snapshot point and update the snapshot IDs
+   *
+   * The reverted snapshot is replaced with a new one of the same state.
+   * Reverting to the ready snapshot discards the deployed one.
+   *
+   * @param {string} rpcUrl - Sandbox RPC URL
+   * @param {string|number} chainId - Chain ID of the sandbox
+   * @param {Object} snapshots - Snapshot IDs by point, updated in place
+   * @param {string} point - Snapshot point to revert to
+   * @returns {Promise<void>}
+   * @throws {Error} If the sandbox cannot be reverted
+   */
+  async revertSandbox(rpcUrl, chainId, snapshots, point) {
+    if (!snapshots[point]) {
+      logger.warn(
+        `Not reverting chainId ${chainId}: no ${point} snapshot was taken`
+      )
+      return
+    }
+
+    try {
+      snapshots[point] = await sandboxCheatService.revertToSnapshot(
+        rpcUrl,
+        snapshots[point]
+      )
+    } catch (error) {
+      throw new Error(
+        `Failed to revert chainId ${chainId} to the ${point} snapshot: ${error.message}`
+      )
+    }
+
+    if (point === SNAPSHOT_POINTS.READY) {
+      snapshots.deployed = null
+    }
+
+    logger.info(`Reverted chainId ${chainId} to the ${point} snapshot`)
+  }
+
+  /**
+   * Convert a network env override to string values for child processes
+   *
+   * @param {Object} [env] - Environment variables from the network configuration
+   * @returns {Object} Environment variables with string values
+   */
+  stringifyEnv(env = {}) {
+    return Object.fromEntries(
+      Object.entries(env).map(([key, value]) => [key, String(value)])
+    )
+  }
+
+  /**
+   * Name of the test artifacts file of one chain in a parallel run
+   *
+   * @param {string} [fileName='bbOut.json'] - Test artifacts file name
+   * @param {number|string} chainId - Chain ID
+   * @returns {string} File name with the chain ID before the extension, e.g. bbOut.1.json
+   */
+  getChainTestArtifactsFile(fileName = 'bbOut.json', chainId) {
+    const { name, ext } = path.parse(fileName)
+    return `${name}.${chainId}${ext}`
+  }
+
+  /**
+   * Create a per-chain working copy of the broadcast directory
+   *
+   * Only the chain's own runs, broadcast/<script>/<chainId>, are copied, so
+   * that other chains' run files are not read as this chain's deployments.
+   *
+   * @param {string} workingDirectory - Working directory
+   * @param {number|string} chainId - Chain ID the copy belongs to
+   * @param {number} index - Position of the network in the input list
+   * @returns {Promise<string>} Path to the isolated broadcast directory
+   */
+  async prepareIsolatedBroadcast(workingDirectory, chainId, index) {
+    const isolatedDir = path.join(
+      os.tmpdir(),
+      'buildbear-broadcast',
+      `${index}-${chainId}`
+    )
+
+    await fs.rm(isolatedDir, { recursive: true, force: true })
+    await fs.mkdir(isolatedDir, { recursive: true })
+
+    const broadcastDir = await pathUtils.findDirectory(
+      'broadcast',
+      workingDirectory
+    )
+    if (broadcastDir) {
+      const scripts = await fs.readdir(broadcastDir, { withFileTypes: true })
+
+      for (const script of scripts.filter((entry) => entry.isDirectory())) {
+        const chainDir = path.join(broadcastDir, script.name, String(chainId))
+
+        if ((await pathUtils.checkPath(chainDir)).isDirectory) {
+          await fs.cp(
+            chainDir,
+            path.join(isolatedDir, script.name, String(chainId)),
+            {
+              recursive: true,
+            }
+          )
+        }
+      }
+    }
+
+    logger.debug(`Prepared isolated broadcast directory: ${isolatedDir}`)
+    return isolatedDir
+  }
+
+  /**
+   * Copy an isolated broadcast directory back into the project
+   *
+   * @param {string} isolatedDir - Per-chain broadcast directory
+   * @param {string} workingDirectory - Working directory
+   */
+  async mergeIsolatedBroadcast(isolatedDir, workingDirectory) {
+    try {
+      await fs.cp(isolatedDir, path.join(workingDirectory, 'broadcast'), {
+        recursive: true,
+        force: true,
+      })
+      await fs.rm(isolatedDir, { recursive: true, force: true })
+    } catch (error) {
+      logger.warn(
+        `Failed to merge broadcast files from ${isolatedDir}: ${error.message}`
+      )
+    }
+  }
+
   /**
    * Execute deployment command
    *
    * @param {string} deployCommand - Command to execute
    * @param {string} workingDirectory - Working directory
    * @param {boolean} processArtifacts - Whether to process artifacts after deployment
+   * @param {Object} [options] - Execution options
+   * @param {Object} [options.env] - Extra environment variables for the command
+   * @param {string} [options.label] - Buffer the output and print it as a labelled group
    * @returns {Promise<number>} Exit code
    */
   async executeDeployment(
     deployCommand,
     workingDirectory,
-    processArtifacts = true
+    processArtifacts = true,
+    options = {}
   ) {
+    const { env = {}, label = null } = options
     let exitCode = 0
 
     if (!deployCommand) {
@@ -222,21 +710,34 @@ class DeploymentService {
     logger.debug(`Working directory: ${workingDirectory}`)
 
     exitCode = await new Promise((resolve, reject) => {
+      const output = []
       const child = spawn(deployCommand, {
         shell: true,
         cwd: workingDirectory,
-        stdio: 'inherit',
+        stdio: label ? ['ignore', 'pipe', 'pipe'] : 'inherit',
         env: {
           ...process.env,
+          ...env,
         },
       })
 
+      if (label) {
+        child.stdout.on('data', (chunk) => output.push(chunk))
+        child.stderr.on('data', (chunk) => output.push(chunk))
+      }
+
       child.on('error', (error) => {
         logger.error(`Error executing deployment command: ${error.message}`)
         reject(error)
       })
 
       child.on('close', (code) => {
+        if (label) {
+          core.startGroup(`Deployment output (${label})`)
+          process.stdout.write(Buffer.concat(output).toString())
+          core.endGroup()
+        }
+
         if (code !== 0) {
           logger.error(`Deployment failed with exit code ${code}`)
         } else {
@@ -266,18 +767,23 @@ class DeploymentService {
    * @param {string} workingDirectory - Working directory
    * @param {string} status - Deployment status
    * @param {string} message - Status message
+   * @param {Object} [options] - Processing options
+   * @param {string} [options.broadcastDir] - Broadcast directory to use instead of searching for one
+   * @param {string} [options.testArtifactsFile] - File name of the test artifacts
    */
-  async processArtifacts(workingDirectory, status, message) {
+  async processArtifacts(workingDirectory, status, message, options = {}) {
     // Process test resimulation artifacts
     await this.processTestResimulationArtifacts(workingDirectory, {
       status,
       message,
+      ...(options.testArtifactsFile && { fileName: options.testArtifactsFile }),
     })
 
     // Process contract verification artifacts
     await this.processContractVerificationArtifacts(workingDirectory, {
       status,
       message,
+      broadcastDir: options.broadcastDir,
     })
   }
 
@@ -312,10 +818,9 @@ class DeploymentService {
    */
   async processContractVerificationArtifacts(workingDirectory, options = {}) {
     try {
-      const broadcastDir = await pathUtils.findDirectory(
-        'broadcast',
-        workingDirectory
-      )
+      const broadcastDir =
+        options.broadcastDir ||
+        (await pathUtils.findDirectory('broadcast', workingDirectory))
       const outDir = await pathUtils.findDirectory('out', workingDirectory)
 
       if (!broadcastDir || !outDir) {
@@ -342,6 +847,7 @@ class DeploymentService {
           status: options.status || 'success',
           message:
             options.message || 'Contract artifacts processed for verification',
+          ...(options.chainId !== undefined && { chainId: options.chainId }),
         }
       )
 
@@ -356,16 +862,21 @@ class DeploymentService {
 
   /**
    * Process broadcast directory for deployment data
+   *
+   * @param {number|string} chainId - Chain ID of the deployment
+   * @param {string} workingDirectory - Working directory
+   * @param {string} [broadcastDirOverride] - Broadcast directory to use instead of searching for one
+   * @returns {Promise<Object|null>} Deployment data or null
    */
-  async processBroadcastDirectory(chainId, workingDirectory) {
-    const fs = require('fs').promises
-    const path = require('path')
-
+  async processBroadcastDirectory(
+    chainId,
+    workingDirectory,
+    broadcastDirOverride = null
+  ) {
     try {
-      const broadcastDir = await pathUtils.findDirectory(
-        'broadcast',
-        workingDirectory
-      )
+      const broadcastDir =
+        broadcastDirOverride ||
+        (await pathUtils.findDirectory('broadcast', workingDirectory))
       if (!broadcastDir) {
         logger.info(
           'No broadcast directory found - skipping deployment data processing'
@@ -477,6 +988,17 @@ class DeploymentService {
 
           const broadcastData = JSON.parse(content)
 
+          // Forge records the chain of a run; skip runs of other chains
+          if (
+            broadcastData.chain !== undefined &&
+            Number(broadcastData.chain) !== Number(chainId)
+          ) {
+            logger.debug(
+              `Skipping ${jsonFile}: it belongs to chainId ${broadcastData.chain}`
+            )
+            continue
+          }
+
           // Debug: Log the structure of the parsed data
           logger.debug(`Parsed JSON structure:`, {
             hasTransactions: !!broadcastData.transactions,
@@ -508,6 +1030,7 @@ class DeploymentService {
                   deploymentData.contracts[tx.contractName || 'Unknown'] = {
                     address: tx.contractAddress,
                     transactionHash: tx.hash,
+                    deployer: tx.transaction?.from,
                     gasUsed: tx.receipt?.gasUsed,
                     blockNumber: tx.receipt?.blockNumber,
                   }
@@ -571,14 +1094,32 @@ class DeploymentService {
     }
   }
 
+  /**
+   * Annotate deployed contracts with the hash of their compiled bytecode
+   *
+   * @param {Object} deploymentData - Deployment data from the broadcast directory
+   * @param {string} workingDirectory - Working directory containing out/
+   */
+  async addBytecodeHashes(deploymentData, workingDirectory) {
+    const outDir = await pathUtils.findDirectory('out', workingDirectory)
+    if (!outDir) {
+      logger.debug('No out directory found - skipping bytecode hashes')
+      return
+    }
+
+    for (const [contractName, contractInfo] of Object.entries(
+      deploymentData.contracts
+    )) {
+      contractInfo.bytecodeHash =
+        await contractVerificationService.getBytecodeHash(outDir, contractName)
+    }
+  }
+
   /**
    * Helper method to recursively search for JSON files in broadcast structure
    * Modified to prioritize run-latest.json and avoid duplicates
    */
   async searchForJsonFiles(dirPath, jsonFiles, depth = 0) {
-    const fs = require('fs').promises
-    const path = require('path')
-
     if (depth > 3) {
       // Prevent infinite recursion
       logger.warn(`Maximum search depth reached for ${dirPath}`)
@@ -648,10 +1189,37 @@ class DeploymentService {
     })
   }
 
+  /**
+   * Get the failed deployments that are not tolerated by the failure policy
+   *
+   * @param {Array} deployments - Array of deployment results
+   * @param {Object} failurePolicy - Parsed failure policy
+   * @returns {Array} Failed deployments that should fail the job
+   */
+  getBlockingFailures(deployments, failurePolicy) {
+    return deployments.filter(
+      (deployment) =>
+        deployment.status === 'failed' &&
+        !isFailureAllowed(failurePolicy, deployment.chainId)
+    )
+  }
+
   /**
    * Send deployment completed notification
+   *
+   * @param {Array} deployments - Array of deployment results
+   * @param {Array} [failures] - Failed deployments that fail the run
    */
-  async sendDeploymentCompletedNotification(deployments) {
+  async sendDeploymentCompletedNotification(deployments, failures = []) {
+    if (failures.length > 0) {
+      await buildBearApi.sendDeploymentNotification({
+        status: 'failed',
+        summary: `Deployment failed on chainId(s): ${failures.map((deployment) => deployment.chainId).join(', ')}`,
+        deployments,
+      })
+      return
+    }
+
     await buildBearApi.sendDeploymentNotification({
       status: 'success',
       deployments,
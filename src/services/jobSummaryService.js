@@ -0,0 +1,262 @@
+/**
+ * Job Summary Service
+ * Renders deployment results into the GitHub Actions job summary
+ */
+
+const core = require('@actions/core')
+const { logger } = require('./logger')
+const { describeRetryStats } = require('../utilities/retryUtils')
+
+class JobSummaryService {
+  /**
+   * Write the deployment results to the job summary
+   *
+   * @param {Array} deployments - Array of deployment results
+   * @param {Object} [options] - Summary options
+   * @param {Object} [options.retryStats] - Retry statistics of the run
+   * @returns {Promise<boolean>} True if the summary was written
+   */
+  async writeDeploymentSummary(deployments, { retryStats } = {}) {
+    try {
+      const summary = core.summary.emptyBuffer()
+
+      summary.addHeading('BuildBear Deployment Summary', 2)
+
+      if (deployments.length === 0) {
+        summary.addRaw('No deployments to summarize', true)
+        this.addRetryStats(summary, retryStats)
+        await summary.write()
+        return true
+      }
+
+      this.addOverview(summary, deployments)
+
+      for (const deployment of deployments) {
+        if (deployment.sandboxId) {
+          this.addChainSection(summary, deployment)
+        }
+      }
+
+      this.addFailedChains(summary, deployments)
+      this.addRetryStats(summary, retryStats)
+
+      await summary.write()
+      logger.debug('Deployment summary written to the job summary')
+      return true
+    } catch (error) {
+      // The job summary is unavailable outside of GitHub Actions runners
+      logger.debug(`Could not write job summary: ${error.message}`)
+      return false
+    }
+  }
+
+  /**
+   * Add the one-row-per-chain overview table
+   *
+   * @param {Object} summary - core.summary instance
+   * @param {Array} deployments - Array of deployment results
+   */
+  addOverview(summary, deployments) {
+    const rows = [
+      [
+        { data: 'Chain ID', header: true },
+        { data: 'Status', header: true },
+        { data: 'Sandbox ID', header: true },
+        { data: 'Contracts', header: true },
+      ],
+    ]
+
+    for (const deployment of deployments) {
+      const contracts = deployment.deployments?.contracts || {}
+
+      rows.push([
+        String(deployment.chainId),
+        this.formatStatus(deployment.status),
+        this.escape(deployment.sandboxId || '-'),
+        String(Object.keys(contracts).length),
+      ])
+    }
+
+    summary.addTable(rows)
+  }
+
+  /**
+   * Add the contracts table and transaction details of one chain
+   *
+   * @param {Object} summary - core.summary instance
+   * @param {Object} deployment - Deployment result
+   */
+  addChainSection(summary, deployment) {
+    summary.addHeading(`Chain ${deployment.chainId}`, 3)
+
+    if (deployment.rpcUrl) {
+      summary.addRaw(
+        `RPC URL: <code>${this.escape(deployment.rpcUrl)}</code>`,
+        true
+      )
+    }
+
+    const contractEntries = Object.entries(
+      deployment.deployments?.contracts || {}
+    )
+
+    if (contractEntries.length === 0) {
+      summary.addRaw('<p>No contracts deployed</p>', true)
+    } else {
+      const rows = [
+        [
+          { data: 'Contract', header: true },
+          { data: 'Address', header: true },
+          { data: 'Transaction Hash', header: true },
+          { data: 'Gas Used', header: true },
+          { data: 'Block', header: true },
+        ],
+      ]
+
+      for (const [contractName, contractInfo] of contractEntries) {
+        rows.push([
+          this.escape(contractName),
+          `<code>${this.escape(contractInfo.address)}</code>`,
+          `<code>${this.escape(contractInfo.transactionHash || '-')}</code>`,
+          this.formatQuantity(contractInfo.gasUsed),
+          this.formatQuantity(contractInfo.blockNumber),
+        ])
+      }
+
+      summary.addTable(rows)
+    }
+
+    const transactions = deployment.deployments?.transactions || []
+
+    if (transactions.length > 0) {
+      const rows = [
+        ['Hash', 'Type', 'Contract', 'Gas Used', 'Status'],
+        ...transactions.map((tx) => [
+          `<code>${this.escape(tx.hash || '-')}</code>`,
+          this.escape(tx.type || '-'),
+          this.escape(tx.contractName || '-'),
+          this.formatQuantity(tx.gasUsed),
+          this.escape(this.formatQuantity(tx.status)),
+        ]),
+      ]
+
+      summary.addDetails(
+        `Transactions (${transactions.length})`,
+        this.toHtmlTable(rows)
+      )
+    }
+  }
+
+  /**
+   * Add a collapsible section listing the failed chains
+   *
+   * @param {Object} summary - core.summary instance
+   * @param {Array} deployments - Array of deployment results
+   */
+  addFailedChains(summary, deployments) {
+    const failed = deployments.filter(
+      (deployment) => deployment.status === 'failed'
+    )
+
+    if (failed.length === 0) {
+      return
+    }
+
+    const rows = [
+      ['Chain ID', 'Error'],
+      ...failed.map((deployment) => [
+        String(deployment.chainId),
+        this.escape(deployment.error || 'Unknown error'),
+      ]),
+    ]
+
+    summary.addDetails(
+      `Failed chains (${failed.length})`,
+      this.toHtmlTable(rows)
+    )
+  }
+
+  /**
+   * Add a line about retried API calls, if any were retried
+   *
+   * @param {Object} summary - core.summary instance
+   * @param {Object} [retryStats] - Retry statistics of the run
+   */
+  addRetryStats(summary, retryStats) {
+    const retries = retryStats ? describeRetryStats(retryStats) : null
+
+    if (retries) {
+      summary.addRaw(`<p>API retries: ${this.escape(retries)}</p>`, true)
+    }
+  }
+
+  /**
+   * Build an HTML table for use inside collapsible sections
+   *
+   * @param {Array<Array<string>>} rows - Header row followed by data rows
+   * @returns {string} HTML table
+   */
+  toHtmlTable([header, ...rows]) {
+    const headerHtml = header.map((cell) => `<th>${cell}</th>`).join('')
+    const bodyHtml = rows
+      .map(
+        (row) => `<tr>${row.map((cell) => `<td>${cell}</td>`).join('')}</tr>`
+      )
+      .join('')
+
+    return `<table><tr>${headerHtml}</tr>${bodyHtml}</table>`
+  }
+
+  /**
+   * Format a deployment status with an emoji marker
+   *
+   * @param {string} status - Deployment status
+   * @returns {string} Formatted status
+   */
+  formatStatus(status) {
+    if (status === 'success') return '✅ success'
+    if (status === 'failed') return '❌ failed'
+    if (status === 'skipped') return '⏭️ skipped'
+    return this.escape(status || 'unknown')
+  }
+
+  /**
+   * Format a quantity that may be a hex string from a broadcast receipt
+   *
+   * @param {string|number} value - Quantity to format
+   * @returns {string} Decimal representation or '-'
+   */
+  formatQuantity(value) {
+    if (value === undefined || value === null || value === '') {
+      return '-'
+    }
+
+    if (typeof value === 'string' && /^0x[0-9a-f]+$/i.test(value)) {
+      return BigInt(value).toString()
+    }
+
+    return String(value)
+  }
+
+  /**
+   * Escape text for inclusion in HTML
+   *
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+}
+
+// Export singleton instance
+const jobSummaryService = new JobSummaryService()
+
+module.exports = {
+  JobSummaryService,
+  jobSummaryService,
+}
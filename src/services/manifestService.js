@@ -0,0 +1,122 @@
+/**
+ * Manifest Service
+ * Writes a versioned record of deployed sandboxes and contracts to the workspace
+ */
+
+const github = require('@actions/github')
+const { logger } = require('./logger')
+const { ioUtils } = require('../utilities/ioUtils')
+
+/**
+ * Version of the manifest format, bumped on breaking changes
+ */
+const MANIFEST_VERSION = 1
+
+class ManifestService {
+  /**
+   * Build the manifest for a set of deployment results
+   *
+   * Chains are keyed by chain ID and contracts by name, both in sorted order,
+   * and the manifest carries no timestamp, so that identical deployments
+   * produce identical manifests.
+   *
+   * @param {Array} deployments - Array of deployment results
+   * @returns {Object} Manifest
+   */
+  buildManifest(deployments) {
+    const chains = {}
+
+    for (const deployment of deployments) {
+      chains[String(deployment.chainId)] = this.buildChainEntry(deployment)
+    }
+
+    return {
+      version: MANIFEST_VERSION,
+      bytecodeHashAlgorithm: 'sha256',
+      repository: `${github.context.repo.owner}/${github.context.repo.repo}`,
+      commitHash: github.context.sha || null,
+      runId: github.context.runId ? String(github.context.runId) : null,
+      runAttempt: process.env.GITHUB_RUN_ATTEMPT || null,
+      chains: this.sortKeys(chains, (a, b) => Number(a) - Number(b)),
+    }
+  }
+
+  /**
+   * Build the manifest entry for one chain
+   *
+   * @param {Object} deployment - Deployment result
+   * @returns {Object} Chain entry
+   */
+  buildChainEntry(deployment) {
+    const contracts = {}
+
+    for (const [contractName, contractInfo] of Object.entries(
+      deployment.deployments?.contracts || {}
+    )) {
+      contracts[contractName] = {
+        address: contractInfo.address,
+        transactionHash: contractInfo.transactionHash || null,
+        deployer: contractInfo.deployer || null,
+        bytecodeHash: contractInfo.bytecodeHash || null,
+      }
+    }
+
+    return {
+      chainId: Number(deployment.chainId),
+      status: deployment.status,
+      sandboxId: deployment.sandboxId || null,
+      rpcUrl: deployment.rpcUrl || null,
+      forkBlock: deployment.forkBlock ?? null,
+      ...(deployment.reusedSandbox && { reusedSandbox: true }),
+      ...(deployment.forkTransaction && {
+        forkTransaction: deployment.forkTransaction,
+      }),
+      ...(deployment.error && { error: deployment.error }),
+      contracts: this.sortKeys(contracts),
+    }
+  }
+
+  /**
+   * Write the manifest file
+   *
+   * @param {string} manifestPath - Absolute path of the manifest file
+   * @param {Array} deployments - Array of deployment results
+   * @returns {Promise<boolean>} True if the manifest was written
+   */
+  async writeManifest(manifestPath, deployments) {
+    const manifest = this.buildManifest(deployments)
+    const written = await ioUtils.writeJsonFile(manifestPath, manifest)
+
+    if (written) {
+      logger.file(`Deployment manifest written to ${manifestPath}`)
+    } else {
+      logger.warn(`Failed to write deployment manifest to ${manifestPath}`)
+    }
+
+    return written
+  }
+
+  /**
+   * Return a copy of an object with its keys sorted
+   *
+   * @param {Object} object - Object to sort
+   * @param {Function} [compare] - Key comparison function
+   * @returns {Object} Object with sorted keys
+   */
+  sortKeys(object, compare) {
+    return Object.fromEntries(
+      Object.keys(object)
+        .sort(compare)
+        .map((key) => [key, object[key]])
+    )
+  }
+}
+
+// Export singleton instance
+const manifestService = new ManifestService()
+
+module.exports = {
+  ManifestService,
+  manifestService,
+  MANIFEST_VERSION,
+}
@@ -0,0 +1,136 @@
+/**
+ * Output Service
+ * Publishes flattened per-chain and per-contract action outputs and environment variables
+ */
+
+const core = require('@actions/core')
+const { logger } = require('./logger')
+
+const DEFAULT_ENV_PREFIX = 'BUILDBEAR'
+
+/**
+ * Overall run status values
+ */
+const RUN_STATUS = {
+  SUCCESS: 'success',
+  PARTIAL: 'partial',
+  FAILED: 'failed',
+}
+
+class OutputService {
+  /**
+   * Parse and validate the environment variable prefix
+   *
+   * @param {string} [prefixInput] - Raw env-prefix input
+   * @returns {string} Environment variable prefix
+   */
+  parseEnvPrefix(prefixInput) {
+    const prefix = (prefixInput || '').trim() || DEFAULT_ENV_PREFIX
+
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(prefix)) {
+      throw new Error(
+        `Invalid env-prefix "${prefixInput}": use letters, digits and underscores, not starting with a digit`
+      )
+    }
+
+    return prefix
+  }
+
+  /**
+   * Compute the overall status of a run
+   *
+   * @param {Array} deployments - Array of deployment results
+   * @param {Array} failures - Failed deployments that fail the job
+   * @returns {string} 'success', 'partial' or 'failed'
+   */
+  getRunStatus(deployments, failures) {
+    if (failures.length > 0) {
+      return RUN_STATUS.FAILED
+    }
+
+    const allSucceeded = deployments.every(
+      (deployment) => deployment.status === 'success'
+    )
+    return allSucceeded ? RUN_STATUS.SUCCESS : RUN_STATUS.PARTIAL
+  }
+
+  /**
+   * Publish flattened outputs and environment variables for each deployment
+   *
+   * Outputs: status, rpc-url-<chainId>, sandbox-id-<chainId>,
+   * snapshot-ready-<chainId>, snapshot-deployed-<chainId> and
+   * address-<chainId>-<ContractName>. The same values are exported as
+   * <PREFIX>_RPC_URL_<chainId>, <PREFIX>_SANDBOX_ID_<chainId>,
+   * <PREFIX>_SNAPSHOT_READY_<chainId>, <PREFIX>_SNAPSHOT_DEPLOYED_<chainId>
+   * and <PREFIX>_ADDRESS_<chainId>_<CONTRACTNAME>.
+   *
+   * @param {Array} deployments - Array of deployment results
+   * @param {Object} options - Publishing options
+   * @param {string} options.status - Overall run status
+   * @param {string} [options.envPrefix] - Environment variable prefix
+   */
+  publish(deployments, { status, envPrefix = DEFAULT_ENV_PREFIX }) {
+    let count = 0
+
+    const publishValue = (outputName, envName, value) => {
+      if (value === undefined || value === null || value === '') return
+
+      core.setOutput(outputName, String(value))
+      core.exportVariable(`${envPrefix}_${envName}`, String(value))
+      count++
+    }
+
+    core.setOutput('status', status)
+    core.exportVariable(`${envPrefix}_STATUS`, status)
+
+    for (const deployment of deployments) {
+      const { chainId } = deployment
+
+      publishValue(
+        `rpc-url-${chainId}`,
+        `RPC_URL_${chainId}`,
+        deployment.rpcUrl
+      )
+      publishValue(
+        `sandbox-id-${chainId}`,
+        `SANDBOX_ID_${chainId}`,
+        deployment.sandboxId
+      )
+      publishValue(
+        `snapshot-ready-${chainId}`,
+        `SNAPSHOT_READY_${chainId}`,
+        deployment.snapshots?.ready
+      )
+      publishValue(
+        `snapshot-deployed-${chainId}`,
+        `SNAPSHOT_DEPLOYED_${chainId}`,
+        deployment.snapshots?.deployed
+      )
+
+      const contracts = deployment.deployments?.contracts || {}
+
+      for (const [contractName, contractInfo] of Object.entries(contracts)) {
+        const outputName = contractName.replace(/[^A-Za-z0-9_-]/g, '_')
+        const envName = contractName.replace(/[^A-Za-z0-9]/g, '_').toUpperCase()
+
+        publishValue(
+          `address-${chainId}-${outputName}`,
+          `ADDRESS_${chainId}_${envName}`,
+          contractInfo.address
+        )
+      }
+    }
+
+    logger.debug(`Published ${count} per-chain outputs (status: ${status})`)
+  }
+}
+
+// Export singleton instance
+const outputService = new OutputService()
+
+module.exports = {
+  OutputService,
+  outputService,
+  RUN_STATUS,
+  DEFAULT_ENV_PREFIX,
+}
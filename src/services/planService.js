@@ -0,0 +1,303 @@
+/**
+ * Plan Service
+ * Builds and prints a dry-run plan without creating sandboxes or calling the BuildBear API
+ */
+
+const path = require('path')
+const { logger } = require('./logger')
+const { getChainById } = require('../config/chains')
+const { resolveForkBlock, parseForkTransaction } = require('../network')
+const { pathUtils } = require('../utilities/pathUtils')
+const { contractVerificationService } = require('./contractVerificationService')
+const { testResimulationService } = require('./testResimulationService')
+
+class PlanService {
+  /**
+   * Build a plan for the given networks
+   *
+   * Fork blocks are resolved against the public upstream RPCs, so a plan can
+   * be built without a BuildBear API key.
+   *
+   * @param {Object} params - Plan parameters
+   * @param {Array} params.networks - Array of network configurations
+   * @param {string} params.deployCommand - Default deployment command
+   * @param {string} params.workingDirectory - Default working directory
+   * @param {string} [params.testArtifactsFile='bbOut.json'] - File name of the test artifacts
+   * @returns {Promise<Object>} Plan with one entry per network
+   */
+  async createPlan({
+    networks,
+    deployCommand,
+    workingDirectory,
+    testArtifactsFile = 'bbOut.json',
+  }) {
+    logger.progress(`Planning deployment to ${networks.length} network(s)`)
+
+    const artifactsByDirectory = new Map()
+    const chains = []
+
+    for (const network of networks) {
+      const chainWorkingDirectory = network.workingDirectory
+        ? path.resolve(workingDirectory, network.workingDirectory)
+        : workingDirectory
+
+      if (!artifactsByDirectory.has(chainWorkingDirectory)) {
+        artifactsByDirectory.set(
+          chainWorkingDirectory,
+          await this.findArtifacts(chainWorkingDirectory, testArtifactsFile)
+        )
+      }
+
+      chains.push(
+        await this.planNetwork(network, {
+          deployCommand: network.deployCommand || deployCommand,
+          workingDirectory: chainWorkingDirectory,
+        })
+      )
+    }
+
+    return {
+      chains,
+      artifacts: Object.fromEntries(artifactsByDirectory),
+    }
+  }
+
+  /**
+   * Plan a single network
+   *
+   * @param {Object} network - Network configuration
+   * @param {Object} options - Resolved per-network settings
+   * @param {string} options.deployCommand - Deployment command for the network
+   * @param {string} options.workingDirectory - Working directory for the network
+   * @returns {Promise<Object>} Network plan
+   */
+  async planNetwork(network, { deployCommand, workingDirectory }) {
+    const { chainId } = network
+    const errors = []
+
+    if (!deployCommand) {
+      errors.push('No deploy command configured')
+    }
+
+    let blockNumber = network.blockNumber ?? null
+
+    if (
+      blockNumber === null &&
+      !network.sandboxLatestBlock &&
+      !network.sandboxId
+    ) {
+      try {
+        blockNumber = await resolveForkBlock(parseInt(chainId), {
+          block: network.block,
+          blockTimestamp: network.blockTimestamp,
+          forkAtTransaction: network.forkAtTransaction,
+          position: network.position,
+        })
+      } catch (error) {
+        errors.push(`Could not resolve fork block: ${error.message}`)
+      }
+    }
+
+    return {
+      chainId,
+      chainName: getChainById(chainId)?.name || null,
+      block: network.block || null,
+      blockTimestamp: network.blockTimestamp ?? null,
+      forkTransaction: network.forkAtTransaction
+        ? parseForkTransaction(network.forkAtTransaction, network.position)
+        : null,
+      blockNumber,
+      pinnedFrom: network.pinnedFrom || null,
+      sandboxId: network.sandboxId || null,
+      sandboxLatestBlock: !!network.sandboxLatestBlock,
+      deployCommand: deployCommand || null,
+      workingDirectory,
+      env: Object.keys(network.env || {}),
+      fund: network.fund || [],
+      impersonate: network.impersonate || [],
+      errors,
+    }
+  }
+
+  /**
+   * Locate the build artifacts of a working directory and list the contracts
+   * that would be sent for verification
+   *
+   * The broadcast directory only holds contracts from an earlier local run,
+   * so the list reflects the last broadcast rather than the coming one.
+   *
+   * @param {string} workingDirectory - Working directory to search
+   * @param {string} testArtifactsFile - File name of the test artifacts
+   * @returns {Promise<Object>} Artifact locations and verifiable contracts
+   */
+  async findArtifacts(workingDirectory, testArtifactsFile) {
+    const broadcastDir = await pathUtils.findDirectory(
+      'broadcast',
+      workingDirectory
+    )
+    const outDir = await pathUtils.findDirectory('out', workingDirectory)
+    const testArtifactsPath =
+      await testResimulationService.findTestArtifactsFile(
+        workingDirectory,
+        testArtifactsFile
+      )
+
+    const verifiableContracts = []
+
+    if (broadcastDir && outDir) {
+      const broadcastFiles =
+        await contractVerificationService.findBroadcastFiles(broadcastDir)
+
+      for (const broadcastFile of broadcastFiles) {
+        const broadcastData =
+          await contractVerificationService.readJsonFile(broadcastFile)
+
+        for (const transaction of broadcastData?.transactions || []) {
+          const { contractName, contractAddress } = transaction
+          if (!contractName || !contractAddress) continue
+
+          const artifactPath =
+            await contractVerificationService.findArtifactPath(
+              outDir,
+              contractName
+            )
+
+          verifiableContracts.push({
+            contractName,
+            contractAddress,
+            artifactPath,
+          })
+        }
+      }
+    }
+
+    return {
+      broadcastDir,
+      outDir,
+      testArtifactsFile: testArtifactsPath,
+      verifiableContracts,
+    }
+  }
+
+  /**
+   * Get the errors that make a plan invalid
+   *
+   * @param {Object} plan - Plan from createPlan
+   * @returns {Array<string>} Error messages prefixed with their chain ID
+   */
+  getPlanErrors(plan) {
+    return plan.chains.flatMap((chain) =>
+      chain.errors.map((error) => `chainId ${chain.chainId}: ${error}`)
+    )
+  }
+
+  /**
+   * Describe the fork block of a network plan and how it was selected
+   *
+   * @param {Object} chain - Network plan
+   * @returns {string} Fork block description
+   */
+  describeForkBlock(chain) {
+    if (chain.sandboxId) {
+      return `that of existing sandbox ${chain.sandboxId}`
+    }
+
+    if (chain.sandboxLatestBlock) {
+      return 'latest (picked by BuildBear)'
+    }
+
+    const blockNumber = chain.blockNumber ?? 'unresolved'
+
+    if (chain.pinnedFrom) {
+      return `${blockNumber} (pinned from ${chain.pinnedFrom})`
+    }
+
+    if (chain.block) {
+      return `${blockNumber} (${chain.block})`
+    }
+
+    if (chain.blockTimestamp !== null) {
+      return `${blockNumber} (at ${chain.blockTimestamp})`
+    }
+
+    if (chain.forkTransaction) {
+      const { position, hash } = chain.forkTransaction
+      return `${blockNumber} (${position} ${hash})`
+    }
+
+    return String(blockNumber)
+  }
+
+  /**
+   * Print a plan
+   *
+   * @param {Object} plan - Plan from createPlan
+   */
+  printPlan(plan) {
+    console.log('='.repeat(100))
+    logger.deployment('DRY RUN PLAN')
+    console.log('='.repeat(100))
+
+    for (const chain of plan.chains) {
+      const name = chain.chainName ? ` (${chain.chainName})` : ''
+      console.log(`\nChain ID: ${chain.chainId}${name}`)
+      console.log(`Fork block: ${this.describeForkBlock(chain)}`)
+      console.log(`Deploy command: ${chain.deployCommand ?? 'none'}`)
+      console.log(`Working directory: ${chain.workingDirectory}`)
+
+      if (chain.env.length > 0) {
+        console.log(`Extra environment: ${chain.env.join(', ')}`)
+      }
+
+      for (const { address, native, erc20 } of chain.fund) {
+        const amounts = [
+          ...(native !== undefined ? [`${native} native`] : []),
+          ...erc20.map(({ amount, token }) => `${amount} of ${token}`),
+        ]
+        console.log(`Fund ${address}: ${amounts.join(', ')}`)
+      }
+
+      if (chain.impersonate.length > 0) {
+        console.log(`Impersonate: ${chain.impersonate.join(', ')}`)
+      }
+
+      for (const error of chain.errors) {
+        logger.error(error)
+      }
+    }
+
+    for (const [workingDirectory, artifacts] of Object.entries(
+      plan.artifacts
+    )) {
+      console.log(`\nArtifacts in ${workingDirectory}:`)
+      console.log(`   broadcast/: ${artifacts.broadcastDir || 'not found'}`)
+      console.log(`   out/: ${artifacts.outDir || 'not found'}`)
+      console.log(
+        `   Test artifacts: ${artifacts.testArtifactsFile || 'not found'}`
+      )
+
+      if (artifacts.verifiableContracts.length === 0) {
+        console.log('   No contracts would be sent for verification')
+        continue
+      }
+
+      console.log('   Contracts that would be sent for verification:')
+      artifacts.verifiableContracts.forEach((contract, idx) => {
+        const note = contract.artifactPath ? '' : ' (artifact not found)'
+        console.log(
+          `   ${idx + 1}. ${contract.contractName}: ${contract.contractAddress}${note}`
+        )
+      })
+    }
+
+    console.log('\n' + '='.repeat(100))
+  }
+}
+
+// Export singleton instance
+const planService = new PlanService()
+
+module.exports = {
+  PlanService,
+  planService,
+}
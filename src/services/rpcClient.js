@@ -0,0 +1,303 @@
+/**
+ * JSON-RPC Client
+ * Sends single and batch JSON-RPC requests to sandboxes and upstream nodes
+ */
+
+const axios = require('axios')
+const { withRetry } = require('../utilities/retryUtils')
+
+/**
+ * Base class of all errors thrown by the RPC client
+ */
+class RpcClientError extends Error {
+  constructor(message, { url, method } = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.url = url
+    this.method = method
+  }
+}
+
+/**
+ * The request failed at the transport level: an HTTP error status or no
+ * response at all. `status` and `headers` are null when no response was
+ * received.
+ */
+class RpcHttpError extends RpcClientError {
+  constructor(message, { status = null, headers = null, ...context } = {}) {
+    super(message, context)
+    this.status = status
+    this.headers = headers
+  }
+}
+
+/**
+ * The request did not complete within its timeout
+ */
+class RpcTimeoutError extends RpcClientError {
+  constructor(message, { timeout, ...context } = {}) {
+    super(message, context)
+    this.timeout = timeout
+  }
+}
+
+/**
+ * The node answered with a JSON-RPC error object
+ */
+class RpcError extends RpcClientError {
+  constructor(message, { code, data, ...context } = {}) {
+    super(message, context)
+    this.code = code
+    this.data = data
+  }
+}
+
+/**
+ * The node answered with something that is not a valid JSON-RPC response
+ */
+class RpcResponseError extends RpcClientError {}
+
+/**
+ * Hide the path and query of an RPC URL, which often carry an API key
+ *
+ * @param {string} url - RPC URL
+ * @returns {string} URL origin
+ */
+const redactRpcUrl = (url) => {
+  try {
+    return new URL(url).origin
+  } catch (error) {
+    return '<invalid url>'
+  }
+}
+
+/**
+ * Retry transport failures, timeouts, rate limits and 5xx responses, but not
+ * JSON-RPC errors or invalid responses
+ */
+const isRetryableRpcError = (error) =>
+  error instanceof RpcTimeoutError ||
+  (error instanceof RpcHttpError &&
+    (error.status === null || error.status === 429 || error.status >= 500))
+
+class RpcClient {
+  /**
+   * @param {string} url - JSON-RPC endpoint
+   * @param {Object} [options] - Client options
+   * @param {number} [options.timeout=10000] - Default timeout of a call in milliseconds
+   * @param {number} [options.retries=0] - Default retries of a call on retryable errors
+   */
+  constructor(url, options = {}) {
+    this.url = url
+    this.timeout = options.timeout || 10000
+    this.retries = options.retries || 0
+    this.nextId = 1
+  }
+
+  /**
+   * Call a single JSON-RPC method
+   *
+   * @param {string} method - RPC method
+   * @param {Array} [params] - RPC parameters
+   * @param {Object} [options] - Call options
+   * @param {number} [options.timeout] - Timeout in milliseconds
+   * @param {number} [options.retries] - Retries on retryable errors
+   * @returns {Promise<*>} The `result` of the response
+   * @throws {RpcClientError} On HTTP failures, timeouts, RPC errors and invalid responses
+   */
+  async call(method, params = [], options = {}) {
+    const request = this.buildRequest(method, params)
+    const response = await this.send(request, method, options)
+
+    return this.unwrap(response, request)
+  }
+
+  /**
+   * Call several JSON-RPC methods in one batch request
+   *
+   * @param {Array<{method: string, params: Array}>} calls - Calls to send
+   * @param {Object} [options] - Call options, as for call()
+   * @returns {Promise<Array>} Results in the order of the calls
+   * @throws {RpcClientError} If the batch fails or any call returns an error
+   */
+  async batch(calls, options = {}) {
+    if (calls.length === 0) {
+      return []
+    }
+
+    const requests = calls.map(({ method, params = [] }) =>
+      this.buildRequest(method, params)
+    )
+    const methods = calls.map(({ method }) => method).join(', ')
+    const responses = await this.send(requests, methods, options)
+
+    if (!Array.isArray(responses)) {
+      // Nodes without batch support answer with a single error object
+      if (responses?.error) {
+        this.unwrap(responses, { method: methods })
+      }
+      throw new RpcResponseError(
+        `Expected a batch response from ${redactRpcUrl(this.url)}`,
+        { url: this.url, method: methods }
+      )
+    }
+
+    const byId = new Map(responses.map((response) => [response?.id, response]))
+
+    return requests.map((request) => {
+      const response = byId.get(request.id)
+
+      if (!response) {
+        throw new RpcResponseError(
+          `Missing response to ${request.method} in batch from ${redactRpcUrl(this.url)}`,
+          { url: this.url, method: request.method }
+        )
+      }
+
+      return this.unwrap(response, request)
+    })
+  }
+
+  /**
+   * Host of the endpoint, which scopes rate-limit pauses
+   */
+  getHost() {
+    try {
+      return new URL(this.url).host
+    } catch (error) {
+      return this.url
+    }
+  }
+
+  /**
+   * Build a JSON-RPC request object
+   */
+  buildRequest(method, params) {
+    return { jsonrpc: '2.0', id: this.nextId++, method, params }
+  }
+
+  /**
+   * Post a request body, with retries on retryable errors
+   */
+  async send(body, method, options = {}) {
+    const timeout = options.timeout || this.timeout
+    const retries = options.retries ?? this.retries
+    const context = { url: this.url, method }
+
+    return withRetry(
+      async () => {
+        let response
+        try {
+          response = await axios.post(this.url, body, {
+            timeout,
+            headers: { 'Content-Type': 'application/json' },
+            // Decode the body ourselves to report invalid JSON
+            responseType: 'text',
+            transformResponse: (data) => data,
+          })
+        } catch (error) {
+          if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            throw new RpcTimeoutError(
+              `${method} on ${redactRpcUrl(this.url)} timed out after ${timeout}ms`,
+              { ...context, timeout }
+            )
+          }
+
+          if (error.response) {
+            throw new RpcHttpError(
+              `${method} on ${redactRpcUrl(this.url)} failed with HTTP ${error.response.status}`,
+              {
+                ...context,
+                status: error.response.status,
+                headers: error.response.headers,
+              }
+            )
+          }
+
+          throw new RpcHttpError(
+            `${method} on ${redactRpcUrl(this.url)} failed: ${error.message}`,
+            context
+          )
+        }
+
+        try {
+          return JSON.parse(response.data)
+        } catch (error) {
+          throw new RpcResponseError(
+            `${method} on ${redactRpcUrl(this.url)} returned invalid JSON`,
+            context
+          )
+        }
+      },
+      {
+        maxRetries: retries,
+        baseDelay: 500,
+        maxDelay: 5000,
+        retryCondition: isRetryableRpcError,
+        // A rate limit of one node holds back only the calls to that node
+        scope: `rpc:${this.getHost()}`,
+      }
+    )
+  }
+
+  /**
+   * Return the result of a JSON-RPC response or throw its error
+   */
+  unwrap(response, request) {
+    const context = { url: this.url, method: request.method }
+
+    if (typeof response !== 'object' || response === null) {
+      throw new RpcResponseError(
+        `${request.method} on ${redactRpcUrl(this.url)} returned an invalid response`,
+        context
+      )
+    }
+
+    if (response.error) {
+      const { code, message, data } = response.error
+      throw new RpcError(
+        `${request.method} failed with RPC error ${code}: ${message}`,
+        { ...context, code, data }
+      )
+    }
+
+    if (!('result' in response)) {
+      throw new RpcResponseError(
+        `${request.method} on ${redactRpcUrl(this.url)} returned neither a result nor an error`,
+        context
+      )
+    }
+
+    return response.result
+  }
+}
+
+/**
+ * Convert a hex quantity from an RPC result to a number
+ *
+ * @param {string} value - Hex quantity, e.g. "0x1a"
+ * @param {string} [method] - RPC method, for error messages
+ * @returns {number} Decoded number
+ * @throws {RpcResponseError} If the value is not a hex quantity
+ */
+const parseQuantity = (value, method) => {
+  if (typeof value !== 'string' || !/^0x[0-9a-f]+$/i.test(value)) {
+    throw new RpcResponseError(`Malformed result: ${JSON.stringify(value)}`, {
+      method,
+    })
+  }
+
+  return parseInt(value, 16)
+}
+
+module.exports = {
+  RpcClient,
+  RpcClientError,
+  RpcHttpError,
+  RpcTimeoutError,
+  RpcError,
+  RpcResponseError,
+  isRetryableRpcError,
+  parseQuantity,
+  redactRpcUrl,
+}
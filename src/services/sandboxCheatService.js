@@ -0,0 +1,329 @@
+/**
+ * Sandbox Cheat Service
+ * Prepares sandbox state with the node's cheat RPC methods before deploying
+ */
+
+const { logger } = require('./logger')
+const { RpcClient, RpcError, parseQuantity } = require('./rpcClient')
+const { parseUnits } = require('../config/funding')
+
+/**
+ * Namespaces of cheat methods, in the order they are tried
+ */
+const CHEAT_NAMESPACES = ['hardhat', 'anvil']
+
+/**
+ * Namespaces of snapshot methods, in the order they are tried
+ */
+const SNAPSHOT_NAMESPACES = ['evm', 'anvil']
+
+/**
+ * Native balance given to impersonated accounts and ERC-20 holders that have
+ * less, so that they can pay for gas: 10 native tokens
+ */
+const GAS_BALANCE = 10n * 10n ** 18n
+
+const RECEIPT_TIMEOUT = 30000
+const RECEIPT_POLL_INTERVAL = 500
+
+/**
+ * ERC-20 function selectors
+ */
+const SELECTORS = {
+  balanceOf: '0x70a08231',
+  decimals: '0x313ce567',
+  transfer: '0xa9059cbb',
+}
+
+/**
+ * ABI-encode an address or a uint256 as a 32-byte word
+ */
+const encodeWord = (value) =>
+  (typeof value === 'bigint' ? value.toString(16) : value.slice(2))
+    .toLowerCase()
+    .padStart(64, '0')
+
+/**
+ * Check whether an RPC error means that the method does not exist
+ */
+const isMethodNotFound = (error) =>
+  error instanceof RpcError &&
+  (error.code === -32601 ||
+    /method .*(not found|not supported|does not exist)/i.test(error.message))
+
+class SandboxCheatService {
+  /**
+   * Call a view function of a token contract
+   *
+   * @returns {Promise<string>} ABI-encoded return data
+   * @throws {Error} If the token address has no contract
+   */
+  async callToken(client, token, data) {
+    const result = await client.call('eth_call', [
+      { to: token, data },
+      'latest',
+    ])
+
+    if (result === '0x') {
+      throw new Error(`${token} is not an ERC-20 contract on the sandbox`)
+    }
+    return result
+  }
+
+  /**
+   * Call a cheat method, trying each namespace until the node supports one
+   *
+   * @param {RpcClient} client - Sandbox RPC client
+   * @param {string} method - Method name without namespace, e.g. "setBalance"
+   * @param {Array} params - RPC parameters
+   * @param {Array<string>} [namespaces] - Namespaces to try
+   * @returns {Promise<*>} RPC result
+   * @throws {Error} If no namespace supports the method
+   */
+  async callCheat(client, method, params, namespaces = CHEAT_NAMESPACES) {
+    for (const namespace of namespaces) {
+      try {
+        return await client.call(`${namespace}_${method}`, params)
+      } catch (error) {
+        if (!isMethodNotFound(error)) {
+          throw error
+        }
+      }
+    }
+
+    throw new Error(
+      `The sandbox supports none of ${namespaces.map((namespace) => `${namespace}_${method}`).join(', ')}`
+    )
+  }
+
+  /**
+   * Set the native balance of an account
+   *
+   * @param {RpcClient} client - Sandbox RPC client
+   * @param {string} address - Account address
+   * @param {bigint} balance - Balance in wei
+   */
+  async setBalance(client, address, balance) {
+    await this.callCheat(client, 'setBalance', [
+      address,
+      `0x${balance.toString(16)}`,
+    ])
+  }
+
+  /**
+   * Let transactions be sent from an account without its key
+   *
+   * @param {RpcClient} client - Sandbox RPC client
+   * @param {string} address - Account address
+   */
+  async impersonate(client, address) {
+    await this.callCheat(client, 'impersonateAccount', [address])
+  }
+
+  /**
+   * Stop impersonating an account
+   *
+   * @param {RpcClient} client - Sandbox RPC client
+   * @param {string} address - Account address
+   */
+  async stopImpersonating(client, address) {
+    await this.callCheat(client, 'stopImpersonatingAccount', [address])
+  }
+
+  /**
+   * Give an account enough native balance to pay for gas
+   *
+   * @param {RpcClient} client - Sandbox RPC client
+   * @param {string} address - Account address
+   */
+  async ensureGas(client, address) {
+    const balance = BigInt(
+      await client.call('eth_getBalance', [address, 'latest'])
+    )
+    if (balance < GAS_BALANCE) {
+      await this.setBalance(client, address, GAS_BALANCE)
+    }
+  }
+
+  /**
+   * Snapshot the sandbox state
+   *
+   * @param {string} rpcUrl - Sandbox RPC URL
+   * @returns {Promise<string>} Snapshot ID
+   */
+  async takeSnapshot(rpcUrl) {
+    return this.callCheat(
+      new RpcClient(rpcUrl),
+      'snapshot',
+      [],
+      SNAPSHOT_NAMESPACES
+    )
+  }
+
+  /**
+   * Revert the sandbox to a snapshot
+   *
+   * Reverting consumes the snapshot and every later one, so the reverted
+   * state is snapshotted again for the next revert.
+   *
+   * @param {string} rpcUrl - Sandbox RPC URL
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {Promise<string>} ID of the new snapshot of the reverted state
+   * @throws {Error} If the snapshot does not exist
+   */
+  async revertToSnapshot(rpcUrl, snapshotId) {
+    const client = new RpcClient(rpcUrl)
+    const reverted = await this.callCheat(
+      client,
+      'revert',
+      [snapshotId],
+      SNAPSHOT_NAMESPACES
+    )
+
+    if (reverted !== true) {
+      throw new Error(`Snapshot ${snapshotId} does not exist on the sandbox`)
+    }
+
+    return this.callCheat(client, 'snapshot', [], SNAPSHOT_NAMESPACES)
+  }
+
+  /**
+   * Impersonate accounts for the rest of the sandbox's life and give them gas
+   *
+   * @param {string} rpcUrl - Sandbox RPC URL
+   * @param {Array<string>} addresses - Accounts to impersonate
+   * @returns {Promise<void>}
+   * @throws {Error} If an account cannot be impersonated
+   */
+  async impersonateAccounts(rpcUrl, addresses) {
+    const client = new RpcClient(rpcUrl)
+
+    for (const address of addresses) {
+      try {
+        await this.impersonate(client, address)
+        await this.ensureGas(client, address)
+        logger.info(`Impersonating ${address}`)
+      } catch (error) {
+        throw new Error(`Failed to impersonate ${address}: ${error.message}`)
+      }
+    }
+  }
+
+  /**
+   * Give accounts native and ERC-20 balances
+   *
+   * Native balances are set to the given amount. ERC-20 amounts are
+   * transferred from the holder, which is impersonated for the transfer.
+   *
+   * @param {string} rpcUrl - Sandbox RPC URL
+   * @param {Array} funding - Funding entries from parseFunding
+   * @param {Object} [options] - Funding options
+   * @param {Array<string>} [options.impersonated] - Accounts that stay impersonated after the transfers
+   * @returns {Promise<void>}
+   * @throws {Error} If an account cannot be funded
+   */
+  async fundAccounts(rpcUrl, funding, { impersonated = [] } = {}) {
+    const client = new RpcClient(rpcUrl)
+    const keepImpersonated = new Set(
+      impersonated.map((address) => address.toLowerCase())
+    )
+
+    for (const { address, native, erc20 } of funding) {
+      try {
+        if (native !== undefined) {
+          await this.setBalance(client, address, parseUnits(native, 18))
+          logger.info(`Set native balance of ${address} to ${native}`)
+        }
+
+        for (const transfer of erc20) {
+          await this.transferErc20(client, {
+            ...transfer,
+            to: address,
+            keepImpersonated: keepImpersonated.has(
+              transfer.holder.toLowerCase()
+            ),
+          })
+        }
+      } catch (error) {
+        throw new Error(`Failed to fund ${address}: ${error.message}`)
+      }
+    }
+  }
+
+  /**
+   * Transfer ERC-20 tokens from an impersonated holder
+   */
+  async transferErc20(client, { token, amount, holder, to, keepImpersonated }) {
+    const decimals = parseQuantity(
+      await this.callToken(client, token, SELECTORS.decimals),
+      'decimals'
+    )
+    const value = parseUnits(amount, decimals)
+
+    const holderBalance = BigInt(
+      await this.callToken(
+        client,
+        token,
+        `${SELECTORS.balanceOf}${encodeWord(holder)}`
+      )
+    )
+    if (holderBalance < value) {
+      throw new Error(
+        `Holder ${holder} has ${holderBalance} base units of ${token}, ${value} needed`
+      )
+    }
+
+    // The holder pays the gas of the transfer
+    await this.ensureGas(client, holder)
+
+    await this.impersonate(client, holder)
+    try {
+      const hash = await client.call('eth_sendTransaction', [
+        {
+          from: holder,
+          to: token,
+          data: `${SELECTORS.transfer}${encodeWord(to)}${encodeWord(value)}`,
+        },
+      ])
+      await this.waitForReceipt(client, hash)
+    } finally {
+      if (!keepImpersonated) {
+        await this.stopImpersonating(client, holder)
+      }
+    }
+
+    logger.info(`Transferred ${amount} of ${token} from ${holder} to ${to}`)
+  }
+
+  /**
+   * Wait until a transaction is mined and check that it succeeded
+   */
+  async waitForReceipt(client, hash) {
+    const deadline = Date.now() + RECEIPT_TIMEOUT
+
+    while (Date.now() < deadline) {
+      const receipt = await client.call('eth_getTransactionReceipt', [hash])
+
+      if (receipt) {
+        if (parseQuantity(receipt.status, 'status') !== 1) {
+          throw new Error(`Transaction ${hash} reverted`)
+        }
+        return receipt
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, RECEIPT_POLL_INTERVAL))
+    }
+
+    throw new Error(
+      `Transaction ${hash} was not mined within ${RECEIPT_TIMEOUT / 1000}s`
+    )
+  }
+}
+
+// Export singleton instance
+const sandboxCheatService = new SandboxCheatService()
+
+module.exports = {
+  SandboxCheatService,
+  sandboxCheatService,
+}
@@ -0,0 +1,187 @@
+/**
+ * Sandbox Teardown Service
+ * Tracks the sandboxes created during a run and deletes them when the job ends
+ */
+
+const core = require('@actions/core')
+const { logger } = require('./logger')
+
+/**
+ * Supported sandbox retention policies
+ */
+const SANDBOX_RETENTION = {
+  ALWAYS_DELETE: 'always-delete',
+  DELETE_ON_SUCCESS: 'delete-on-success',
+  KEEP: 'keep',
+}
+
+const DEFAULT_SANDBOX_RETENTION = SANDBOX_RETENTION.DELETE_ON_SUCCESS
+
+/**
+ * Name of the action state entry holding the tracked sandboxes
+ */
+const SANDBOXES_STATE_KEY = 'sandboxes'
+
+class SandboxTeardownService {
+  constructor() {
+    this.sandboxes = []
+  }
+
+  /**
+   * Parse and validate a sandbox retention policy
+   *
+   * @param {string} retentionInput - Raw sandbox-retention input
+   * @returns {string} Retention policy
+   */
+  parseRetention(retentionInput) {
+    if (!retentionInput) {
+      return DEFAULT_SANDBOX_RETENTION
+    }
+
+    const retention = retentionInput.trim().toLowerCase()
+
+    if (!Object.values(SANDBOX_RETENTION).includes(retention)) {
+      throw new Error(
+        `Invalid sandbox-retention "${retentionInput}": expected one of ${Object.values(SANDBOX_RETENTION).join(', ')}`
+      )
+    }
+
+    return retention
+  }
+
+  /**
+   * Record a newly created sandbox so the post step can tear it down
+   *
+   * @param {Object} sandbox - Sandbox details
+   * @param {string} sandbox.sandboxId - Sandbox ID
+   * @param {number} sandbox.chainId - Chain ID the sandbox forks
+   */
+  trackSandbox({ sandboxId, chainId }) {
+    this.sandboxes.push({ sandboxId, chainId, status: 'pending' })
+    this.saveState()
+  }
+
+  /**
+   * Update the deployment status of a tracked sandbox
+   *
+   * @param {string} sandboxId - Sandbox ID
+   * @param {string} status - Deployment status ('success' or 'failed')
+   */
+  updateSandboxStatus(sandboxId, status) {
+    const sandbox = this.sandboxes.find((item) => item.sandboxId === sandboxId)
+
+    if (sandbox) {
+      sandbox.status = status
+      this.saveState()
+    }
+  }
+
+  /**
+   * Mark the sandboxes still pending as failed
+   *
+   * Called once every chain has finished, when a sandbox left pending is one
+   * whose deployment threw. Sandboxes still pending in the post step belong
+   * to a main step that was cancelled or crashed.
+   */
+  failPendingSandboxes() {
+    const pending = this.sandboxes.filter(
+      (sandbox) => sandbox.status === 'pending'
+    )
+
+    if (pending.length > 0) {
+      pending.forEach((sandbox) => {
+        sandbox.status = 'failed'
+      })
+      this.saveState()
+    }
+  }
+
+  /**
+   * Persist tracked sandboxes to the action state for the post step
+   */
+  saveState() {
+    core.saveState(SANDBOXES_STATE_KEY, JSON.stringify(this.sandboxes))
+  }
+
+  /**
+   * Read the sandboxes tracked by the main step
+   *
+   * @returns {Array<Object>} Tracked sandboxes
+   */
+  getTrackedSandboxes() {
+    const state = core.getState(SANDBOXES_STATE_KEY)
+
+    if (!state) {
+      return []
+    }
+
+    try {
+      const sandboxes = JSON.parse(state)
+      return Array.isArray(sandboxes) ? sandboxes : []
+    } catch (error) {
+      logger.warn(`Could not read tracked sandboxes: ${error.message}`)
+      return []
+    }
+  }
+
+  /**
+   * Delete tracked sandboxes according to the retention policy
+   *
+   * delete-on-success keeps only failed sandboxes: a sandbox still pending
+   * was left behind by a cancelled or crashed main step, with no failure to
+   * debug on it.
+   *
+   * @param {string} retention - Retention policy
+   * @returns {Promise<Object>} Lists of deleted, kept and failed sandbox IDs
+   */
+  async teardown(retention) {
+    const result = { deleted: [], kept: [], failed: [] }
+    const sandboxes = this.getTrackedSandboxes()
+
+    if (sandboxes.length === 0) {
+      logger.info('No sandboxes to tear down')
+      return result
+    }
+
+    const { buildBearApi } = require('./buildBearApi')
+
+    for (const sandbox of sandboxes) {
+      const shouldDelete =
+        retention === SANDBOX_RETENTION.ALWAYS_DELETE ||
+        (retention === SANDBOX_RETENTION.DELETE_ON_SUCCESS &&
+          sandbox.status !== 'failed')
+
+      if (!shouldDelete) {
+        logger.info(
+          `Keeping sandbox ${sandbox.sandboxId} for chainId ${sandbox.chainId} (retention: ${retention}, status: ${sandbox.status})`
+        )
+        result.kept.push(sandbox.sandboxId)
+        continue
+      }
+
+      try {
+        await buildBearApi.deleteSandbox(sandbox.sandboxId)
+        result.deleted.push(sandbox.sandboxId)
+      } catch (error) {
+        logger.warn(error.message)
+        result.failed.push(sandbox.sandboxId)
+      }
+    }
+
+    logger.info(
+      `Sandbox teardown finished: ${result.deleted.length} deleted, ${result.kept.length} kept, ${result.failed.length} failed`
+    )
+
+    return result
+  }
+}
+
+// Export singleton instance
+const sandboxTeardownService = new SandboxTeardownService()
+
+module.exports = {
+  SandboxTeardownService,
+  sandboxTeardownService,
+  SANDBOX_RETENTION,
+  DEFAULT_SANDBOX_RETENTION,
+}
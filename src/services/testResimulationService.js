@@ -22,6 +22,7 @@ class TestResimulationService {
    * @param {string} [options.status='success'] - Processing status
    * @param {string} [options.message] - Processing message
    * @param {string} [options.fileName='bbOut.json'] - File name to compress
+   * @param {number} [options.chainId] - Chain the artifacts were produced on
    * @returns {Promise<Object>} Processing result with file path and metadata
    */
   async processTestArtifacts(workingDirectory, options = {}) {
@@ -30,6 +31,7 @@ class TestResimulationService {
         status = 'success',
         message = 'Test artifacts processed',
         fileName = 'bbOut.json',
+        chainId,
       } = options
 
       logger.progress('Processing test resimulation artifacts')
@@ -71,6 +73,7 @@ class TestResimulationService {
           status,
           message,
           fileName,
+          chainId,
         }
       )
 
@@ -307,9 +310,11 @@ class TestResimulationService {
       // Use compression utils to compress the file content
       const { compressionUtils } = require('../utilities/compressionUtils')
 
-      // Create a temporary directory with the file to compress
-      const tempDir = path.join(os.tmpdir(), `temp-artifacts-dir-${Date.now()}`)
-      await fs.mkdir(tempDir, { recursive: true })
+      // Create a temporary directory with the file to compress, unique to
+      // this call so that parallel chains do not share it
+      const tempDir = await fs.mkdtemp(
+        path.join(os.tmpdir(), 'temp-artifacts-dir-')
+      )
 
       const tempFilePath = path.join(tempDir, path.basename(artifactsFile))
       await fs.writeFile(tempFilePath, fileContent, 'utf8')
@@ -364,9 +369,11 @@ class TestResimulationService {
       'Skipping JSON validation for large file to prevent memory issues'
     )
 
-    // Create a temporary directory with the file to compress
-    const tempDir = path.join(os.tmpdir(), `temp-large-artifacts-${Date.now()}`)
-    await fs.mkdir(tempDir, { recursive: true })
+    // Create a temporary directory with the file to compress, unique to this
+    // call so that parallel chains do not share it
+    const tempDir = await fs.mkdtemp(
+      path.join(os.tmpdir(), 'temp-large-artifacts-')
+    )
 
     try {
       // Copy file to temp directory using streams to handle large files
@@ -452,6 +459,7 @@ class TestResimulationService {
       processingTime: Date.now(),
       originalSize: fileStats.size,
       originalSizeFormatted: this.formatBytes(fileStats.size),
+      ...(options.chainId !== undefined && { chainId: options.chainId }),
     }
 
     // Add parsed content only for smaller files
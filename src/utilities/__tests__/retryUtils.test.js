@@ -0,0 +1,202 @@
+process.env.API_RETRY_BUDGET = '4'
+
+const http = require('http')
+const {
+  withRetry,
+  getRetryAfterDelay,
+  getRetryStats,
+  describeRetryStats,
+  resetRetryState,
+} = require('../retryUtils')
+const { RpcClient, RpcHttpError } = require('../../services/rpcClient')
+
+/**
+ * Error as thrown by axios for an HTTP status
+ */
+const httpError = (status, headers = {}) => {
+  const error = new Error(`HTTP ${status}`)
+  error.response = { status, headers }
+  return error
+}
+
+/**
+ * Function that fails with the given errors, then returns 'ok'
+ */
+const failing = (...errors) =>
+  jest.fn(async () => {
+    if (errors.length > 0) {
+      throw errors.shift()
+    }
+    return 'ok'
+  })
+
+describe('getRetryAfterDelay', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z')
+
+  it('reads Retry-After in seconds', () => {
+    expect(
+      getRetryAfterDelay(httpError(429, { 'retry-after': '2.5' }), now)
+    ).toBe(2500)
+  })
+
+  it('reads Retry-After as an HTTP date', () => {
+    expect(
+      getRetryAfterDelay(
+        httpError(429, { 'retry-after': 'Thu, 01 Jan 2026 00:00:03 GMT' }),
+        now
+      )
+    ).toBe(3000)
+  })
+
+  it('reads rate-limit reset headers in seconds and as a Unix timestamp', () => {
+    expect(
+      getRetryAfterDelay(httpError(429, { 'x-ratelimit-reset': '4' }), now)
+    ).toBe(4000)
+    expect(
+      getRetryAfterDelay(
+        httpError(429, { 'ratelimit-reset': String(now / 1000 + 5) }),
+        now
+      )
+    ).toBe(5000)
+  })
+
+  it('reads the headers of an RPC HTTP error', () => {
+    const error = new RpcHttpError('HTTP 429', {
+      status: 429,
+      headers: { 'retry-after': '1' },
+    })
+
+    expect(getRetryAfterDelay(error, now)).toBe(1000)
+  })
+
+  it('returns null without a delay header', () => {
+    expect(getRetryAfterDelay(httpError(503), now)).toBeNull()
+    expect(getRetryAfterDelay(new Error('socket hang up'), now)).toBeNull()
+  })
+})
+
+describe('withRetry', () => {
+  beforeEach(() => {
+    resetRetryState()
+  })
+
+  it('does not retry client errors', async () => {
+    const fn = failing(httpError(400))
+
+    await expect(withRetry(fn, { baseDelay: 1 })).rejects.toThrow('HTTP 400')
+    expect(fn).toHaveBeenCalledTimes(1)
+  })
+
+  it('stops retrying once the run budget is spent', async () => {
+    const fn = failing(...Array.from({ length: 6 }, () => httpError(503)))
+
+    await expect(
+      withRetry(fn, { maxRetries: 10, baseDelay: 1, maxDelay: 1 })
+    ).rejects.toThrow('HTTP 503')
+    expect(fn).toHaveBeenCalledTimes(5)
+    expect(getRetryStats()).toMatchObject({
+      retries: 4,
+      budgetExhausted: true,
+    })
+  })
+
+  it('counts a rate-limit pause shared by parallel calls once', async () => {
+    const results = await Promise.all(
+      [1, 2, 3].map(() =>
+        withRetry(failing(httpError(429, { 'retry-after': '0.2' })))
+      )
+    )
+
+    expect(results).toEqual(['ok', 'ok', 'ok'])
+    const stats = getRetryStats()
+    expect(stats.rateLimited).toBe(3)
+    expect(stats.waited).toBeGreaterThanOrEqual(200)
+    expect(stats.waited).toBeLessThan(400)
+  })
+
+  it('keeps rate-limit pauses and the budget of other scopes apart', async () => {
+    const rpcError = new RpcHttpError('HTTP 429', {
+      status: 429,
+      headers: { 'retry-after': '1' },
+    })
+    const rpcCall = withRetry(failing(rpcError), {
+      scope: 'rpc:node.example',
+    })
+
+    // Let the RPC call fail and pause its scope
+    await new Promise((resolve) => setImmediate(resolve))
+
+    const started = Date.now()
+    await expect(withRetry(failing())).resolves.toBe('ok')
+    expect(Date.now() - started).toBeLessThan(500)
+    expect(getRetryStats()).toMatchObject({ retries: 0, rateLimited: 0 })
+    expect(getRetryStats('rpc:node.example')).toMatchObject({
+      retries: 1,
+      rateLimited: 1,
+    })
+
+    await expect(rpcCall).resolves.toBe('ok')
+  })
+})
+
+describe('RpcClient', () => {
+  let server
+  let url
+  let requests
+
+  beforeEach(async () => {
+    resetRetryState()
+    requests = 0
+    server = http.createServer((req, res) => {
+      requests++
+      if (requests === 1) {
+        res.writeHead(429, { 'Retry-After': '0.1' })
+        res.end()
+        return
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: 1, result: '0x10' }))
+    })
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    url = `http://127.0.0.1:${server.address().port}`
+  })
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve))
+  })
+
+  it('waits out the Retry-After of a node without spending the API budget', async () => {
+    const client = new RpcClient(url, { retries: 1 })
+
+    await expect(client.call('eth_blockNumber')).resolves.toBe('0x10')
+    expect(requests).toBe(2)
+    expect(getRetryStats(`rpc:${new URL(url).host}`)).toMatchObject({
+      retries: 1,
+      rateLimited: 1,
+    })
+    expect(getRetryStats().retries).toBe(0)
+  })
+})
+
+describe('describeRetryStats', () => {
+  it('describes retries, rate limits, waits and an exhausted budget', () => {
+    expect(
+      describeRetryStats({
+        retries: 3,
+        rateLimited: 1,
+        waited: 2500,
+        budgetExhausted: true,
+      })
+    ).toBe(
+      '3 retries, 1 after rate limiting, 2.5s spent waiting, retry budget exhausted'
+    )
+    expect(
+      describeRetryStats({
+        retries: 0,
+        rateLimited: 0,
+        waited: 0,
+        budgetExhausted: false,
+      })
+    ).toBeNull()
+  })
+})
@@ -0,0 +1,43 @@
+const { logger } = require('../services/logger')
+
+class ConcurrencyUtils {
+  /**
+   * Map over items with a bounded number of concurrent workers
+   *
+   * Results are returned in the same order as the input items, regardless of
+   * the order in which the workers finish.
+   *
+   * @param {Array} items - Items to process
+   * @param {number} limit - Maximum number of items processed at the same time
+   * @param {Function} fn - Async function called with (item, index)
+   * @returns {Promise<Array>} Results in input order
+   */
+  async mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length)
+    const workerCount = Math.max(1, Math.min(limit || 1, items.length))
+    let nextIndex = 0
+
+    logger.debug(
+      `Processing ${items.length} items with ${workerCount} concurrent workers`
+    )
+
+    const worker = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++
+        results[index] = await fn(items[index], index)
+      }
+    }
+
+    await Promise.all(Array.from({ length: workerCount }, () => worker()))
+
+    return results
+  }
+}
+
+// Export singleton instance
+const concurrencyUtils = new ConcurrencyUtils()
+
+module.exports = {
+  ConcurrencyUtils,
+  concurrencyUtils,
+}
@@ -325,9 +325,9 @@ class IOUtils {
    * @returns {Promise<*>} Parsed JSON or default value
    */
   async readJsonFile(filePath, options = {}) {
-    try {
-      const { defaultValue = null, throwOnError = false } = options
+    const { defaultValue = null, throwOnError = false } = options
 
+    try {
       const content = await fs.readFile(filePath, 'utf8')
       const parsed = JSON.parse(content)
 
@@ -344,7 +344,7 @@ class IOUtils {
         )
       }
 
-      return options.defaultValue
+      return defaultValue
     }
   }
 
@@ -0,0 +1,298 @@
+const { logger } = require('../services/logger')
+const { getConfig } = require('../config')
+
+/**
+ * Retry scope of the BuildBear API and artifact uploads
+ */
+const API_RETRY_SCOPE = 'api'
+
+/**
+ * Retry state of each scope, shared by every call of the run in that scope,
+ * so that parallel calls draw from one retry budget and wait out rate limits
+ * together without holding back calls to other servers
+ */
+const retryStates = new Map()
+
+/**
+ * Get the retry state of a scope
+ *
+ * @param {string} scope - Retry scope
+ * @returns {Object} Retry state
+ */
+const getRetryState = (scope) => {
+  if (!retryStates.has(scope)) {
+    retryStates.set(scope, {
+      remaining: null,
+      retries: 0,
+      rateLimited: 0,
+      waited: 0,
+      exhausted: false,
+      pausedUntil: 0,
+    })
+  }
+  return retryStates.get(scope)
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * HTTP status of a failed call, from an axios error or a typed client error
+ */
+const getStatus = (error) => error.response?.status ?? error.status ?? null
+
+/**
+ * Check whether an error is worth retrying: network errors, rate limits and
+ * 5xx status codes
+ *
+ * @param {Error} error - Error thrown by the call
+ * @returns {boolean} True if the call may succeed when retried
+ */
+const isRetryableError = (error) => {
+  if (!error.response) {
+    return true
+  }
+  return error.response.status === 429 || error.response.status >= 500
+}
+
+/**
+ * Read the delay a server asked for through Retry-After or rate-limit reset
+ * headers
+ *
+ * Retry-After is either seconds or an HTTP date. Rate-limit reset headers are
+ * either seconds from now or, for values that look like one, a Unix timestamp.
+ *
+ * @param {Error} error - Error thrown by the call
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number|null} Delay in milliseconds, null if the server named none
+ */
+const getRetryAfterDelay = (error, now = Date.now()) => {
+  const headers = error.response?.headers ?? error.headers
+  if (!headers) {
+    return null
+  }
+
+  const retryAfter = String(headers['retry-after'] ?? '').trim()
+  if (/^\d+(\.\d+)?$/.test(retryAfter)) {
+    return Math.ceil(Number(retryAfter) * 1000)
+  }
+  if (retryAfter && !Number.isNaN(Date.parse(retryAfter))) {
+    return Math.max(Date.parse(retryAfter) - now, 0)
+  }
+
+  const reset = String(
+    headers['x-ratelimit-reset'] ?? headers['ratelimit-reset'] ?? ''
+  ).trim()
+  if (/^\d+(\.\d+)?$/.test(reset)) {
+    const value = Number(reset)
+    return value > 1e9
+      ? Math.max(Math.ceil(value * 1000 - now), 0)
+      : Math.ceil(value * 1000)
+  }
+
+  return null
+}
+
+/**
+ * Take one retry from the budget of a scope
+ *
+ * Only the API scope has a budget; other scopes are bounded by the retries
+ * of each call.
+ *
+ * @param {string} scope - Retry scope
+ * @returns {boolean} False if the budget is spent
+ */
+const takeRetry = (scope) => {
+  if (scope !== API_RETRY_SCOPE) {
+    return true
+  }
+
+  const retryState = getRetryState(scope)
+  if (retryState.remaining === null) {
+    retryState.remaining = getConfig().api.retryBudget
+  }
+
+  if (retryState.remaining <= 0) {
+    if (!retryState.exhausted) {
+      logger.warn(
+        'Retry budget of the run is spent. Failed calls are no longer retried.'
+      )
+      retryState.exhausted = true
+    }
+    return false
+  }
+
+  retryState.remaining--
+  return true
+}
+
+/**
+ * Hold back every call until a rate limit has passed
+ *
+ * Only the part of the pause beyond the current one is counted as waited, so
+ * parallel calls waiting out the same pause count it once.
+ *
+ * @param {Object} retryState - Retry state of the scope
+ * @param {number} delay - Pause in milliseconds from now
+ */
+const pauseForRateLimit = (retryState, delay) => {
+  const now = Date.now()
+  const until = now + delay
+
+  if (until > retryState.pausedUntil) {
+    retryState.waited += until - Math.max(retryState.pausedUntil, now)
+    retryState.pausedUntil = until
+  }
+}
+
+/**
+ * Wait until a rate limit hit by any call of the scope has passed
+ *
+ * @param {Object} retryState - Retry state of the scope
+ */
+const waitForRateLimit = async (retryState) => {
+  const delay = retryState.pausedUntil - Date.now()
+
+  if (delay > 0) {
+    await sleep(delay)
+  }
+}
+
+/**
+ * Exponential backoff retry utility for API calls
+ *
+ * Waits as long as the server asks for through Retry-After or rate-limit
+ * reset headers, and makes every other call of the same scope wait out a 429
+ * too. Retries of the API scope are drawn from a budget shared by the whole
+ * run.
+ *
+ * @param {Function} fn - Function to retry
+ * @param {Object} options - Retry configuration
+ * @param {number} [options.maxRetryAfter=120000] - Longest server-requested wait in milliseconds; longer waits fail the call
+ * @param {string} [options.scope='api'] - Calls that share rate-limit pauses and retry statistics, such as the calls to one RPC host
+ * @returns {Promise} Result of the function call
+ */
+const withRetry = async (fn, options = {}) => {
+  const {
+    maxRetries = 3,
+    baseDelay = 1000,
+    maxDelay = 10000,
+    maxRetryAfter = 120000,
+    retryCondition = isRetryableError,
+    scope = API_RETRY_SCOPE,
+  } = options
+  const retryState = getRetryState(scope)
+
+  let lastError
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    await waitForRateLimit(retryState)
+
+    try {
+      return await fn()
+    } catch (error) {
+      lastError = error
+
+      // Don't retry if we've exhausted attempts or if retry condition fails
+      if (attempt === maxRetries || !retryCondition(error)) {
+        break
+      }
+
+      const retryAfter = getRetryAfterDelay(error)
+      if (retryAfter !== null && retryAfter > maxRetryAfter) {
+        logger.warn(
+          `Not retrying: the server asked to wait ${Math.round(retryAfter / 1000)}s`
+        )
+        break
+      }
+
+      if (!takeRetry(scope)) {
+        break
+      }
+
+      // Calculate exponential backoff delay with jitter, unless the server
+      // named one
+      const delay =
+        retryAfter ??
+        Math.min(
+          baseDelay * Math.pow(2, attempt) + Math.random() * 1000,
+          maxDelay
+        )
+
+      logger.debug(
+        `API call failed (attempt ${attempt + 1}/${maxRetries + 1}). Retrying in ${Math.round(delay)}ms...`
+      )
+
+      retryState.retries++
+      if (getStatus(error) === 429) {
+        // Every call of the scope waits before its next attempt
+        retryState.rateLimited++
+        pauseForRateLimit(retryState, delay)
+      } else {
+        retryState.waited += delay
+        await sleep(delay)
+      }
+    }
+  }
+
+  throw lastError
+}
+
+/**
+ * Retry statistics of the run
+ *
+ * @param {string} [scope='api'] - Retry scope
+ * @returns {{retries: number, rateLimited: number, waited: number, budgetExhausted: boolean}}
+ *   Retries made, how many followed a 429, total wait in milliseconds and
+ *   whether the budget ran out
+ */
+const getRetryStats = (scope = API_RETRY_SCOPE) => {
+  const retryState = getRetryState(scope)
+  return {
+    retries: retryState.retries,
+    rateLimited: retryState.rateLimited,
+    waited: Math.round(retryState.waited),
+    budgetExhausted: retryState.exhausted,
+  }
+}
+
+/**
+ * Forget the retry state of every scope, as at the start of a run
+ */
+const resetRetryState = () => {
+  retryStates.clear()
+}
+
+/**
+ * Describe retry statistics in one line
+ *
+ * @param {Object} stats - Statistics from getRetryStats
+ * @returns {string|null} Description, null if nothing was retried
+ */
+const describeRetryStats = ({
+  retries,
+  rateLimited,
+  waited,
+  budgetExhausted,
+}) => {
+  if (retries === 0 && waited === 0) {
+    return null
+  }
+
+  const parts = [
+    `${retries} ${retries === 1 ? 'retry' : 'retries'}`,
+    ...(rateLimited > 0 ? [`${rateLimited} after rate limiting`] : []),
+    `${(waited / 1000).toFixed(1)}s spent waiting`,
+    ...(budgetExhausted ? ['retry budget exhausted'] : []),
+  ]
+  return parts.join(', ')
+}
+
+module.exports = {
+  API_RETRY_SCOPE,
+  withRetry,
+  isRetryableError,
+  getRetryAfterDelay,
+  getRetryStats,
+  describeRetryStats,
+  resetRetryState,
+}